@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const cli = require('../lib/cli');
+
+cli.run(process.argv.slice(2), { env: process.env, stdout: process.stdout, stderr: process.stderr }).then(code => {
+  process.exitCode = code;
+}).done();
@@ -0,0 +1,134 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const crypto = require('crypto');
+const Q = require('q');
+const request = require('requestretry');
+const systemClock = require('./clock').systemClock;
+
+class AppAuth {
+  /**
+   * Create an authenticator for a GitHub App installation. Installation tokens are minted using a JWT signed
+   * with the app's private key, cached, and refreshed shortly before they expire.
+   * @param {object} options The settings for the app.
+   * @param {string|number} options.appId The id of the GitHub App
+   * @param {string} options.privateKey The PEM encoded private key of the app
+   * @param {string|number} options.installationId The id of the installation to get tokens for
+   * @param {string} [options.apiUrl] The API root (default https://api.github.com)
+   * @param {number} [options.refreshMargin] How long before expiry, in milliseconds, to refresh tokens (default 5 minutes)
+   * @param {object} [options.clock] The clock used to tell when tokens expire and to wait between attempts at
+   * minting one (default the system clock)
+   * @param {function} [options.send] Function called with (options, callback) to send each attempt at minting a
+   * token, as for request (e.g., a recorder's send). Defaults to sending it with request.
+   */
+  constructor(options = {}) {
+    if (!options.appId || !options.privateKey || !options.installationId) {
+      throw new Error('GitHub App authentication requires appId, privateKey and installationId');
+    }
+    this.appId = options.appId;
+    this.privateKey = options.privateKey;
+    this.installationId = options.installationId;
+    this.apiUrl = options.apiUrl || 'https://api.github.com';
+    this.refreshMargin = options.refreshMargin === undefined ? 5 * 60 * 1000 : options.refreshMargin;
+    this.clock = options.clock || systemClock;
+    this.send = options.send || null;
+    this.token = null;
+    this.expiresAt = 0;
+    this._minting = null;
+  }
+
+  /**
+   * Get an installation token, minting a new one if there is no cached token or it is about to expire.
+   * Concurrent callers share the same minting request.
+   * @returns {promise} A promise for the token
+   */
+  getToken() {
+    if (this.token && this.expiresAt - this.refreshMargin > this.clock.now()) {
+      return Q(this.token);
+    }
+    if (!this._minting) {
+      this._minting = this._mint().finally(() => {
+        this._minting = null;
+      });
+    }
+    return this._minting;
+  }
+
+  /**
+   * Forget the given token (e.g., after GitHub rejected it with a 401) so the next getToken mints a new one.
+   * @param {string} token The token to forget
+   */
+  invalidate(token) {
+    if (this.token === token) {
+      this.token = null;
+      this.expiresAt = 0;
+    }
+  }
+
+  /**
+   * Create the JWT used to authenticate as the app. GitHub allows at most 10 minutes between iat and exp.
+   * The iat is backdated to allow for clock drift.
+   * @returns {string} The signed JWT
+   */
+  createJwt() {
+    const now = Math.floor(this.clock.now() / 1000);
+    const header = AppAuth._encode({ alg: 'RS256', typ: 'JWT' });
+    const payload = AppAuth._encode({ iat: now - 60, exp: now + 9 * 60, iss: String(this.appId) });
+    const signature = crypto.createSign('RSA-SHA256').update(`${header}.${payload}`).sign(this.privateKey, 'base64');
+    return `${header}.${payload}.${AppAuth._base64url(signature)}`;
+  }
+
+  // Make up to 3 attempts at minting a token, a second apart on the clock, while they fail with a network error,
+  // a 429 or a 5xx. Minting another token is harmless so this is safe even though it is a POST.
+  _mint() {
+    const self = this;
+    const deferred = Q.defer();
+    const options = {
+      method: 'POST',
+      url: `${this.apiUrl}/app/installations/${this.installationId}/access_tokens`,
+      json: true,
+      headers: {
+        'User-Agent': 'ghrequestor',
+        Accept: 'application/vnd.github+json',
+        authorization: `Bearer ${this.createJwt()}`
+      }
+    };
+    const send = this.send || request.Request.request;
+    let attempts = 0;
+    const attempt = () => {
+      attempts++;
+      send(options, (err, response, body) => {
+        const retryable = err || response.statusCode === 429 || response.statusCode >= 500;
+        if (retryable && attempts < 3) {
+          return self.clock.setTimeout(attempt, 1000);
+        }
+        done(err, response, body);
+      });
+    };
+    const done = (err, response, body) => {
+      if (err) {
+        return deferred.reject(err);
+      }
+      if (response.statusCode !== 201 || !body || !body.token) {
+        const error = new Error(`Failed to create installation token: ${response.statusCode}`);
+        error.response = response;
+        return deferred.reject(error);
+      }
+      self.token = body.token;
+      self.expiresAt = Date.parse(body.expires_at) || self.clock.now() + 60 * 60 * 1000;
+      deferred.resolve(self.token);
+    };
+    attempt();
+    return deferred.promise;
+  }
+
+  static _encode(value) {
+    return AppAuth._base64url(Buffer.from(JSON.stringify(value)).toString('base64'));
+  }
+
+  static _base64url(base64) {
+    return base64.replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  }
+}
+
+module.exports = AppAuth;
@@ -0,0 +1,188 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const fs = require('fs');
+const Q = require('q');
+const FileCache = require('./fileCache');
+const GHRequestor = require('./ghrequestor');
+
+const usage = `Usage: ghrequestor <url or API path> [options]
+
+Fetch all pages of a GitHub collection and write its items as newline delimited JSON.
+
+Options:
+  --base-url <url>      Resolve API paths against the given API root (e.g., a GitHub Enterprise Server host)
+  --output <file>       Write the items to the given file rather than stdout
+  --token-file <file>   Read tokens, one per line, from the given file rather than GITHUB_TOKENS or GITHUB_TOKEN
+  --etag-cache <dir>    Cache responses in the given directory and only fetch pages that changed
+  --resume <file>       Save the checkpoint of a failed walk in the given file and resume from it next time
+  --stats               Write a summary of the pages, attempts and delays to stderr
+  --help                Show this help
+`;
+const valueFlags = { '--base-url': 'baseUrl', '--output': 'output', '--token-file': 'tokenFile', '--etag-cache': 'etagCache', '--resume': 'resume' };
+
+/**
+ * Parse the given command line arguments.
+ * @param {array} argv The arguments, without the node executable and script
+ * @returns {object} The { target, baseUrl, output, tokenFile, etagCache, resume, stats, help } settings
+ * @throws {Error} If the arguments are not valid
+ */
+function parse(argv) {
+  const result = { target: null, baseUrl: null, output: null, tokenFile: null, etagCache: null, resume: null, stats: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (valueFlags[arg]) {
+      if (i + 1 >= argv.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      result[valueFlags[arg]] = argv[++i];
+    } else if (arg === '--stats') {
+      result.stats = true;
+    } else if (arg === '--help' || arg === '-h') {
+      result.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (result.target) {
+      throw new Error(`Unexpected argument ${arg}`);
+    } else {
+      result.target = arg;
+    }
+  }
+  if (!result.target && !result.help) {
+    throw new Error('Missing URL or API path');
+  }
+  return result;
+}
+
+/**
+ * Get the tokens to use from the given token file, if any, or the GITHUB_TOKENS (comma separated) or GITHUB_TOKEN
+ * environment variables. Blank lines and lines starting with # in the token file are skipped.
+ * @param {object} settings The parsed settings
+ * @param {object} env The environment variables
+ * @returns {array} The tokens, possibly none
+ */
+function tokens(settings, env) {
+  const list = settings.tokenFile
+    ? fs.readFileSync(settings.tokenFile, 'utf8').split(/\r?\n/)
+    : (env.GITHUB_TOKENS || env.GITHUB_TOKEN || '').split(',');
+  return list.map(token => token.trim()).filter(token => token && !token.startsWith('#'));
+}
+
+/**
+ * Summarize the given activity of a walk.
+ * @param {array} activity The activity entries of the walk
+ * @param {number} items The number of items written
+ * @returns {object} The { pages, items, attempts, retries, cached, delays, delayed } of the walk. delayed is the
+ * total time, in milliseconds, spent waiting to retry or for the rate limit to reset.
+ */
+function stats(activity, items) {
+  const result = { pages: 0, items: items, attempts: 0, retries: 0, cached: 0, delays: 0, delayed: 0 };
+  activity.forEach(entry => {
+    result.pages++;
+    result.attempts += entry.attempts || 0;
+    result.cached += entry.cached ? 1 : 0;
+    (entry.delays || []).forEach(delay => {
+      Object.keys(delay).forEach(reason => {
+        result.retries += reason === 'retry' ? 1 : 0;
+        result.delays++;
+        result.delayed += delay[reason] || 0;
+      });
+    });
+    if (entry.rateLimitDelay) {
+      result.delays++;
+      result.delayed += entry.rateLimitDelay;
+    }
+  });
+  return result;
+}
+
+/**
+ * Run the command line tool with the given arguments.
+ * @param {array} argv The arguments, without the node executable and script
+ * @param {object} io The { env, stdout, stderr } to use
+ * @param {object} [options] Options to pass along to getAllResponses
+ * @returns {promise} A promise for the exit code
+ */
+function run(argv, io, options = {}) {
+  let settings = null;
+  let resumeFrom = null;
+  let pool = null;
+  // Bad arguments, an unreadable token file and a corrupt checkpoint are all usage errors
+  try {
+    settings = parse(argv);
+    if (settings.help) {
+      io.stdout.write(usage);
+      return Q(0);
+    }
+    resumeFrom = settings.resume && fs.existsSync(settings.resume) ? JSON.parse(fs.readFileSync(settings.resume, 'utf8')) : null;
+    pool = tokens(settings, io.env);
+  } catch (err) {
+    io.stderr.write(`${err.message}\n\n${usage}`);
+    return Q(2);
+  }
+  const walkOptions = Object.assign({}, options);
+  if (pool.length) {
+    walkOptions.tokens = pool;
+  }
+  if (settings.baseUrl) {
+    walkOptions.baseUrl = settings.baseUrl;
+  }
+  if (settings.etagCache) {
+    walkOptions.cache = new FileCache(settings.etagCache);
+  }
+  if (resumeFrom) {
+    walkOptions.resumeFrom = resumeFrom;
+  }
+  // Items of a resumed walk are added to those written before it failed
+  const out = settings.output ? fs.createWriteStream(settings.output, { flags: resumeFrom ? 'a' : 'w' }) : io.stdout;
+  let written = 0;
+  const write = responses => {
+    responses.forEach(response => {
+      const items = Array.isArray(response.body) ? response.body : [response.body];
+      items.forEach(item => out.write(`${JSON.stringify(item)}\n`));
+      written += items.length;
+    });
+  };
+  return GHRequestor.getAllResponses(settings.target, walkOptions).then(responses => {
+    const last = responses[responses.length - 1];
+    // The walk stops at the first failed page. Write what came before it and fail as for errors.
+    if (last && last.statusCode >= 300 && last.statusCode !== 304) {
+      const err = new Error(`Failed to get ${responses.checkpoint.next}: ${last.statusCode} ${last.statusMessage || ''}`.trim());
+      err.result = responses.slice(0, -1);
+      err.activity = responses.activity;
+      err.checkpoint = responses.checkpoint;
+      throw err;
+    }
+    write(responses);
+    if (settings.resume && resumeFrom) {
+      fs.unlinkSync(settings.resume);
+    }
+    return { activity: responses.activity, code: 0 };
+  }).catch(err => {
+    if (err.result) {
+      write(err.result);
+    }
+    if (settings.resume && err.checkpoint) {
+      fs.writeFileSync(settings.resume, JSON.stringify(err.checkpoint));
+    }
+    io.stderr.write(`${err.message}\n`);
+    return { activity: err.activity || [], code: 1 };
+  }).then(outcome => {
+    if (settings.stats) {
+      io.stderr.write(`${JSON.stringify(stats(outcome.activity, written))}\n`);
+    }
+    if (out === io.stdout) {
+      return outcome.code;
+    }
+    const deferred = Q.defer();
+    out.end(() => deferred.resolve(outcome.code));
+    return deferred.promise;
+  });
+}
+
+module.exports = {
+  parse: parse,
+  run: run,
+  stats: stats,
+  tokens: tokens
+};
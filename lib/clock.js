@@ -0,0 +1,104 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+// The clock used for all waits unless told otherwise. Real time and real timers.
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: timer => clearTimeout(timer)
+};
+
+class FakeClock {
+  /**
+   * Create a clock whose time only moves when told to. Use tick to advance the time and fire the timers that
+   * come due, in order of their due time.
+   * @param {number} [now] The time, in epoch milliseconds, to start the clock at (default the current time)
+   */
+  constructor(now = Date.now()) {
+    this._now = now;
+    this._timers = [];
+  }
+
+  now() {
+    return this._now;
+  }
+
+  /**
+   * The number of timers waiting to fire.
+   */
+  get pending() {
+    return this._timers.length;
+  }
+
+  setTimeout(callback, delay) {
+    const timer = { due: this._now + Math.max(delay || 0, 0), callback: callback };
+    // Keep the timers sorted by due time. Timers due at the same time fire in the order they were set.
+    const index = this._timers.findIndex(other => other.due > timer.due);
+    this._timers.splice(index < 0 ? this._timers.length : index, 0, timer);
+    return timer;
+  }
+
+  clearTimeout(timer) {
+    const index = this._timers.indexOf(timer);
+    if (index >= 0) {
+      this._timers.splice(index, 1);
+    }
+  }
+
+  /**
+   * Advance the clock by the given time, firing each timer that comes due along the way. The clock is at the
+   * timer's due time when it fires so timers set by a timer fire too if they come due within the given time.
+   * @param {number} time The time in milliseconds to advance the clock by
+   */
+  tick(time) {
+    const end = this._now + time;
+    while (this._timers.length && this._timers[0].due <= end) {
+      this._fire();
+    }
+    this._now = end;
+  }
+
+  _fire() {
+    const timer = this._timers.shift();
+    this._now = Math.max(this._now, timer.due);
+    timer.callback();
+  }
+}
+
+class VirtualClock extends FakeClock {
+  /**
+   * Create a clock that advances itself. Timers fire in order of their due time, one per turn of the event loop,
+   * and the clock jumps to each timer's due time as it fires. Waits of any length therefore take no real time
+   * but are still observed in the results (e.g., activity delays).
+   * @param {number} [now] The time, in epoch milliseconds, to start the clock at (default the current time)
+   */
+  constructor(now = Date.now()) {
+    super(now);
+    this._scheduled = false;
+  }
+
+  setTimeout(callback, delay) {
+    const timer = super.setTimeout(callback, delay);
+    this._schedule();
+    return timer;
+  }
+
+  _schedule() {
+    if (this._scheduled) {
+      return;
+    }
+    this._scheduled = true;
+    setImmediate(() => {
+      this._scheduled = false;
+      if (!this._timers.length) {
+        return;
+      }
+      if (this._timers.length > 1) {
+        this._schedule();
+      }
+      this._fire();
+    });
+  }
+}
+
+module.exports = { systemClock, FakeClock, VirtualClock };
@@ -0,0 +1,163 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+class CancellationError extends Error {
+  /**
+   * Error used to reject operations that were cancelled by their signal or ran past their deadline.
+   * @param {string} reason Either "aborted" (the signal fired) or "timeout" (the deadline passed)
+   * @param {array} result The partial result (e.g., the responses fetched so far)
+   * @param {array} activity The activity of the operation up to the point it was cancelled
+   */
+  constructor(reason, result, activity) {
+    super(reason === 'timeout' ? 'Operation timed out' : 'Operation aborted');
+    this.name = 'CancellationError';
+    this.reason = reason;
+    this.result = result;
+    this.activity = activity;
+  }
+}
+
+class RequestError extends Error {
+  /**
+   * Base of the errors for requests that failed. Also used as is for failed responses that have no more specific
+   * error (e.g., 422).
+   * @param {string} message What went wrong
+   * @param {object} [details] The details of the failure.
+   * @param {object} [details.response] The response that failed, if any
+   * @param {array} [details.activity] The activity of the operation up to the failure
+   * @param {boolean} [details.retryable] Whether trying again later may work (default false)
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.response = details.response || null;
+    this.activity = details.activity || null;
+    this.statusCode = this.response ? this.response.statusCode : null;
+    this.retryable = !!details.retryable;
+  }
+
+  /**
+   * Create the error for the given failed response. 404 and 410 are NotFoundErrors, 403s and 429s for exhausted
+   * rate limits are RateLimitErrors, other 401s and 403s are ForbiddenErrors and 5xx are ServerErrors.
+   * @param {object} response The failed response
+   * @param {array} [activity] The activity of the operation up to the failure
+   * @param {string} [message] What went wrong (default the status code and message of the response)
+   * @returns {RequestError} The error
+   */
+  static fromResponse(response, activity = null, message = null) {
+    const status = response.statusCode;
+    const details = { response: response, activity: activity };
+    message = message || `${status} ${response.statusMessage || ''}`.trim();
+    if (status === 404 || status === 410) {
+      return new NotFoundError(message, details);
+    }
+    if (status === 429 || (status === 403 && RequestError._isRateLimited(response))) {
+      return new RateLimitError(message, details);
+    }
+    if (status === 401 || status === 403) {
+      return new ForbiddenError(message, details);
+    }
+    if (status >= 500) {
+      return new ServerError(message, details);
+    }
+    return new RequestError(message, details);
+  }
+
+  // Rate limited 403s have been classified by the retry logic. Otherwise go by the headers.
+  static _isRateLimited(response) {
+    if (response._limit) {
+      return response._limit.type !== 'permission';
+    }
+    const headers = response.headers || {};
+    return headers['retry-after'] !== undefined || String(headers['x-ratelimit-remaining']) === '0';
+  }
+}
+
+class NotFoundError extends RequestError {
+  /**
+   * Error for responses saying the resource does not exist (404) or is gone (410). Not retryable.
+   * @param {string} message What went wrong
+   * @param {object} [details] The { response, activity } of the failure
+   */
+  constructor(message, details = {}) {
+    super(message, withRetryable(details, false));
+  }
+}
+
+class ForbiddenError extends RequestError {
+  /**
+   * Error for responses refusing access (401 or a 403 that is not due to rate limiting). Not retryable.
+   * @param {string} message What went wrong
+   * @param {object} [details] The { response, activity } of the failure
+   */
+  constructor(message, details = {}) {
+    super(message, withRetryable(details, false));
+  }
+}
+
+class RateLimitError extends RequestError {
+  /**
+   * Error for responses saying a rate limit has been hit (a 429 or a 403 with no remaining requests or a
+   * Retry-After). Retryable once the limit resets.
+   * @param {string} message What went wrong
+   * @param {object} [details] The { response, activity } of the failure
+   */
+  constructor(message, details = {}) {
+    super(message, withRetryable(details, true));
+    const headers = this.response ? this.response.headers || {} : {};
+    // The epoch time, in seconds, at which the limit resets, if known
+    this.reset = headers['x-ratelimit-reset'] !== undefined ? parseInt(headers['x-ratelimit-reset']) || null : null;
+  }
+}
+
+class ServerError extends RequestError {
+  /**
+   * Error for 5xx responses. Retryable.
+   * @param {string} message What went wrong
+   * @param {object} [details] The { response, activity } of the failure
+   */
+  constructor(message, details = {}) {
+    super(message, withRetryable(details, true));
+  }
+}
+
+class NetworkError extends RequestError {
+  /**
+   * Error for requests that got no response (e.g., the connection was refused or reset). Retryable.
+   * @param {Error} cause The error of the request. Its message and code are those of this error.
+   * @param {object} [details] The { activity } of the failure
+   */
+  constructor(cause, details = {}) {
+    super(cause.message || String(cause), withRetryable(details, true));
+    this.cause = cause;
+    this.code = cause.code;
+    this.attempts = cause.attempts;
+  }
+}
+
+class PaginationError extends RequestError {
+  /**
+   * Error for pages that cannot be combined into a result (e.g., a 304 with no cached or supplied content).
+   * Not retryable.
+   * @param {string} message What went wrong
+   * @param {object} [details] The { response, activity } of the failure
+   */
+  constructor(message, details = {}) {
+    super(message, withRetryable(details, false));
+  }
+}
+
+function withRetryable(details, retryable) {
+  return Object.assign({}, details, { retryable: retryable });
+}
+
+module.exports = {
+  CancellationError: CancellationError,
+  ForbiddenError: ForbiddenError,
+  NetworkError: NetworkError,
+  NotFoundError: NotFoundError,
+  PaginationError: PaginationError,
+  RateLimitError: RateLimitError,
+  RequestError: RequestError,
+  ServerError: ServerError
+};
@@ -0,0 +1,68 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Q = require('q');
+
+class FileCache {
+  /**
+   * Create a cache of responses keyed by URL and stored as JSON files in the given directory.
+   * @param {string} directory The directory in which to store the cached responses. Created if needed.
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this._ensureDirectory = null;
+  }
+
+  /**
+   * Get the cached entry for the given URL.
+   * @param {string} url The URL of the resource
+   * @returns {promise} A promise for the cached { etag, body } entry or null if there is none.
+   */
+  get(url) {
+    return Q.nfcall(fs.readFile, this._pathFor(url), 'utf8').then(
+      content => {
+        const record = JSON.parse(content);
+        if (record.encoding === 'base64') {
+          record.entry.body = Buffer.from(record.entry.body, 'base64');
+        }
+        return record.entry;
+      },
+      err => {
+        if (err.code === 'ENOENT') {
+          return null;
+        }
+        throw err;
+      });
+  }
+
+  /**
+   * Cache the given entry for the given URL.
+   * @param {string} url The URL of the resource
+   * @param {object} entry The { etag, body } entry to cache
+   * @returns {promise} A promise that is resolved when the entry has been written.
+   */
+  set(url, entry) {
+    const file = this._pathFor(url);
+    this._ensureDirectory = this._ensureDirectory || Q.nfcall(fs.mkdir, this.directory, { recursive: true }).catch(err => {
+      this._ensureDirectory = null;
+      throw err;
+    });
+    // Buffer bodies (e.g., raw blobs) are stored as base64 and turned back into Buffers when read
+    const record = Buffer.isBuffer(entry.body)
+      ? { url: url, encoding: 'base64', entry: Object.assign({}, entry, { body: entry.body.toString('base64') }) }
+      : { url: url, entry: entry };
+    return this._ensureDirectory.then(() => {
+      return Q.nfcall(fs.writeFile, file, JSON.stringify(record));
+    });
+  }
+
+  _pathFor(url) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+}
+
+module.exports = FileCache;
@@ -0,0 +1,75 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const fs = require('fs');
+const path = require('path');
+const Q = require('q');
+
+class FileQueueStore {
+  /**
+   * Create a store of queue items kept as JSON files, one per item, in the given directory so a queue survives
+   * process restarts. Items are written to a temporary file and renamed into place so a crash never leaves a
+   * partial item behind.
+   * @param {string} directory The directory in which to store the items. Created if needed.
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this._ensureDirectory = null;
+  }
+
+  /**
+   * Get all of the stored items.
+   * @returns {promise} A promise for the items
+   */
+  all() {
+    return Q.nfcall(fs.readdir, this.directory).then(
+      files => {
+        const reads = files.filter(file => file.endsWith('.json')).map(file => {
+          return Q.nfcall(fs.readFile, path.join(this.directory, file), 'utf8').then(JSON.parse);
+        });
+        return Q.all(reads);
+      },
+      err => {
+        if (err.code === 'ENOENT') {
+          return [];
+        }
+        throw err;
+      });
+  }
+
+  /**
+   * Store the given item, replacing any item with the same id.
+   * @param {object} item The item to store
+   * @returns {promise} A promise that is resolved when the item has been written.
+   */
+  put(item) {
+    const file = this._pathFor(item.id);
+    const temporary = `${file}.tmp`;
+    this._ensureDirectory = this._ensureDirectory || Q.nfcall(fs.mkdir, this.directory, { recursive: true }).catch(err => {
+      this._ensureDirectory = null;
+      throw err;
+    });
+    return this._ensureDirectory.then(() => {
+      return Q.nfcall(fs.writeFile, temporary, JSON.stringify(item));
+    }).then(() => Q.nfcall(fs.rename, temporary, file));
+  }
+
+  /**
+   * Remove the item with the given id, if any.
+   * @param {string} id The id of the item
+   * @returns {promise} A promise that is resolved when the item has been removed.
+   */
+  remove(id) {
+    return Q.nfcall(fs.unlink, this._pathFor(id)).catch(err => {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    });
+  }
+
+  _pathFor(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+}
+
+module.exports = FileQueueStore;
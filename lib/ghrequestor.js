@@ -1,11 +1,33 @@
 // Copyright (c) Microsoft Corporation. All rights reserved.
 // Licensed under the MIT License.
 
+const EventEmitter = require('events');
 const extend = require('extend');
 const parse = require('parse-link-header');
 const Q = require('q');
 const qlimit = require('qlimit');
+const Readable = require('stream').Readable;
 const request = require('requestretry');
+const AppAuth = require('./appAuth');
+const FileCache = require('./fileCache');
+const FileQueueStore = require('./fileQueueStore');
+const Incremental = require('./incremental');
+const MemoryCache = require('./memoryCache');
+const MemoryQueueStore = require('./memoryQueueStore');
+const Metrics = require('./metrics');
+const Queue = require('./queue');
+const QueueWorker = require('./queueWorker');
+const RateLimiter = require('./rateLimiter');
+const Recorder = require('./recorder');
+const RetryPolicy = require('./retryPolicy');
+const TokenPool = require('./tokenPool');
+const Traversal = require('./traversal');
+const errors = require('./errors');
+const CancellationError = errors.CancellationError;
+const NetworkError = errors.NetworkError;
+const PaginationError = errors.PaginationError;
+const RequestError = errors.RequestError;
+const clock = require('./clock');
 
 class GHRequestor {
   /**
@@ -13,12 +35,19 @@ class GHRequestor {
    * is called when the resource has been retrieved or an irrecoverable problem has been encountered.
    * If a callback is not supplied, a promise is returned. The promise will be resolved with the
    * response on success or rejected with an error object. Note that responses with statusCode >=300 are not
-   * errors -- the promise will be resolved with such a response.
+   * errors -- the promise will be resolved with such a response -- unless the throwOnHttpError option is set. Then
+   * responses with statusCode >=400 reject with a RequestError (e.g., NotFoundError) carrying the response.
    *
    * Note that the options can include an etags property that is an array of etags to use for the GET requests.
-   * Element N-1 of the array will be used for page N of a multi page request.
+   * Element N-1 of the array will be used for page N of a multi page request. It can also be an object or Map keyed
+   * by page URL. Keys do not need the per_page added by ghrequestor and the order of their query parameters does
+   * not matter. Similarly, a lastModified property (an array, object or Map of dates) is sent as If-Modified-Since.
+   * Responses have the validators ({ etag, lastModified }) to send next time.
    *
-   * @param {string} target URL to fetch
+   * The mediaType option ({ format, previews, buffer }) sets the Accept header. Formats other than JSON (e.g., raw or
+   * diff) resolve with a text body or, if buffer is true, a Buffer. The apiVersion option sets X-GitHub-Api-Version.
+   *
+   * @param {string} target URL to fetch or API path (e.g., /repos/o/r) to resolve against the baseUrl option
    * @param {object} [options] Options to use through the retry and request process.
    * @param {function} [callback] Function to call on completion of the retrieval.
    * @returns {null|promise} null if a callback is supplied. A promise otherwise.
@@ -31,6 +60,90 @@ class GHRequestor {
     return new RequestorAction(options).get(target, callback);
   }
 
+  /**
+   * Search GitHub for the given kind of thing (e.g., issues, code, commits, repositories, users) and get all of
+   * the matching items. Throttling uses the much smaller search budget (see the searchTokenLowerBound option). The
+   * promise is resolved with the items of all pages along with totalCount, incomplete (true if GitHub reported
+   * incomplete_results for any page) and activity properties.
+   *
+   * Search only returns the first 1000 results of a query. If the split option names a date qualifier (e.g.,
+   * created or updated), or is an object with a qualifier and optional from and to dates, queries with more
+   * results are split into date ranges that each have at most 1000 results. The sort and order options are
+   * passed along to GitHub.
+   *
+   * @param {string} kind The kind of search (e.g., issues)
+   * @param {string} query The search query (e.g., "repo:Microsoft/ghrequestor is:open")
+   * @param {object} [options] Options to use through the retry and request process.
+   * @returns {promise} A promise for the found items.
+   */
+  static search(kind, query, options = {}) {
+    return new RequestorAction(options).search(kind, query, options ? options.split : null);
+  }
+
+  /**
+   * POST the given body to the target URL. The request shares the throttling, retry and activity tracking of get
+   * and, like get, the promise is resolved with responses that have statusCode >=300. As POST is not
+   * idempotent, network errors are only retried if the request could not have been sent (e.g., the connection
+   * was refused) and 5xx responses are not retried, unless the retryNonIdempotent option is set. Rate limited
+   * responses are always retried.
+   * Etags and the cache only apply to GET requests.
+   *
+   * @param {string} target URL to POST to
+   * @param {object} body The body of the request. Sent as JSON.
+   * @param {object} [options] Options to use through the retry and request process.
+   * @param {function} [callback] Function to call on completion of the request.
+   * @returns {null|promise} null if a callback is supplied. A promise otherwise.
+   */
+  static post(target, body, options = {}, callback = null) {
+    return GHRequestor._send('POST', target, body, options, callback);
+  }
+
+  /**
+   * PATCH the target URL with the given body. See post for details. Like POST, PATCH is not idempotent.
+   *
+   * @param {string} target URL to PATCH
+   * @param {object} body The body of the request. Sent as JSON.
+   * @param {object} [options] Options to use through the retry and request process.
+   * @param {function} [callback] Function to call on completion of the request.
+   * @returns {null|promise} null if a callback is supplied. A promise otherwise.
+   */
+  static patch(target, body, options = {}, callback = null) {
+    return GHRequestor._send('PATCH', target, body, options, callback);
+  }
+
+  /**
+   * PUT the given body to the target URL. See post for details. PUT is idempotent so errors are retried as for get.
+   *
+   * @param {string} target URL to PUT to
+   * @param {object} body The body of the request. Sent as JSON.
+   * @param {object} [options] Options to use through the retry and request process.
+   * @param {function} [callback] Function to call on completion of the request.
+   * @returns {null|promise} null if a callback is supplied. A promise otherwise.
+   */
+  static put(target, body, options = {}, callback = null) {
+    return GHRequestor._send('PUT', target, body, options, callback);
+  }
+
+  /**
+   * DELETE the target URL. See post for details. DELETE is idempotent so errors are retried as for get.
+   *
+   * @param {string} target URL to DELETE
+   * @param {object} [options] Options to use through the retry and request process.
+   * @param {function} [callback] Function to call on completion of the request.
+   * @returns {null|promise} null if a callback is supplied. A promise otherwise.
+   */
+  static delete(target, options = {}, callback = null) {
+    return GHRequestor._send('DELETE', target, undefined, options, callback);
+  }
+
+  static _send(method, target, body, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = null;
+    }
+    return new RequestorAction(options).send(method, target, body, callback);
+  }
+
   /**
    * Attempt to get all pages related to the given target URL.  The callback supplied, if any,
    * is called when all pages have been retrieved or an irrecoverable problem has been encountered.
@@ -57,7 +170,16 @@ class GHRequestor {
    * may have a response property containing the response that caused the failure.
    *
    * Note that the options can include an etags property that is an array of etags to use for the GET requests.
-   * Element N-1 of the array will be used for page N of a multi page request.
+   * Element N-1 of the array will be used for page N of a multi page request. It can also be an object or Map keyed
+   * by page URL. Keys do not need the per_page added by ghrequestor and the order of their query parameters does
+   * not matter. Similarly, a lastModified property (an array, object or Map of dates) is sent as If-Modified-Since.
+   * Responses have the validators ({ etag, lastModified }) to send next time.
+   *
+   * Both the result and the error have a checkpoint property ({ next, page, etags }) saying where the walk got to.
+   * The error also has the responses fetched up to the checkpoint as its result property.
+   * Pass it as the resumeFrom option to continue from there. The result then only has the pages fetched after it.
+   * The result also has an etags property, an object mapping the URL of each page to its etag, that can be
+   * passed back as the etags option.
    *
    * @param {string} target URL to fetch and paginate
    * @param {object} [options] Options to use through the retry and request process.
@@ -72,6 +194,95 @@ class GHRequestor {
     return new RequestorAction(options).getAll(target, callback);
   }
 
+  /**
+   * Traverse the graph of GitHub resources reachable from the given root URL by following the *_url fields of
+   * their bodies according to the given rules (e.g., { issues_url: { comments_url: true } }). Each URL is fetched,
+   * with all its pages, only once. URI templates (e.g., {/number}) are removed before fetching. See Traversal for
+   * the rules and the records streamed. Set the traversalConcurrency option to fetch more than one URL at once.
+   *
+   * @param {string} rootUrl URL of the resource to start from
+   * @param {object} rules The fields to follow
+   * @param {object} [options] Options to use through the retry and request process.
+   * @returns {Readable} A stream of the { entity, url, field, parent } of each entity reached.
+   */
+  static traverse(rootUrl, rules, options = {}) {
+    const requestor = GHRequestor.defaults(options);
+    const concurrency = options ? options.traversalConcurrency : null;
+    return new Traversal(requestor, rules, { concurrency: concurrency }).traverse(rootUrl);
+  }
+
+  /**
+   * Iterate over the pages related to the given target URL as they are fetched. Pages are fetched one at a time,
+   * when the consumer asks for them, so only the current page is held in memory. The result is an async iterator
+   * (usable with for await) that yields each page's response or, if the "each" option is "item", each element
+   * of each page's body. Iteration stops after the first response that is not a 200 or 304. In "item" mode such a
+   * response, or a 304 not resolved from the cache, is an error.  Stopping early (e.g., break in for await, or
+   * calling return()) cancels any in-flight request and fetches no more pages.
+   *
+   * @param {string} target URL to fetch and paginate
+   * @param {object} [options] Options to use through the retry and request process.
+   * @returns {object} An async iterator over the pages or items.
+   */
+  static iterate(target, options = {}) {
+    const each = options && options.each === 'item' ? 'item' : 'page';
+    return new RequestorAction(options).iterate(target, each);
+  }
+
+  /**
+   * Get a Node object mode Readable stream of the pages (or items) related to the given target URL. This is the
+   * stream form of iterate and takes the same options. Destroying the stream cancels any remaining fetching.
+   *
+   * @param {string} target URL to fetch and paginate
+   * @param {object} [options] Options to use through the retry and request process.
+   * @returns {Readable} A stream of the pages or items.
+   */
+  static stream(target, options = {}) {
+    const iterator = GHRequestor.iterate(target, options);
+    const stream = new Readable({
+      objectMode: true,
+      read() {
+        iterator.next().then(
+          item => stream.push(item.done ? null : item.value),
+          err => stream.destroy(err));
+      },
+      destroy(err, callback) {
+        iterator.return().then(() => callback(err));
+      }
+    });
+    return stream;
+  }
+
+  /**
+   * POST the given GraphQL query to the GitHub GraphQL (v4) API. The request goes through the same retry, throttling
+   * and logging as get. Include a rateLimit { remaining resetAt cost } block in the query to have throttling use
+   * the GraphQL rate limit.  The promise is resolved with the response (the results are in response.body.data)
+   * or rejected if the response is not 200 OK or has errors and no data.
+   *
+   * @param {string} query The GraphQL query
+   * @param {object} [variables] The values of the query's variables
+   * @param {object} [options] Options to use through the retry and request process. graphqlUrl sets the endpoint.
+   * @returns {promise} A promise for the response.
+   */
+  static graphql(query, variables = {}, options = {}) {
+    return new RequestorAction(options).graphql(query, variables);
+  }
+
+  /**
+   * Run the given GraphQL query repeatedly to get all pages of a connection. The options must include a "path"
+   * to the connection under "data" (e.g., "repository.issues"). The connection must include
+   * pageInfo { hasNextPage endCursor } and either nodes or edges { node }.  The query is passed the end cursor of
+   * the previous page in the variable named by the "cursorVariable" option (default "cursor").  The promise is
+   * resolved with the concatenated nodes of all pages along with an activity property.
+   *
+   * @param {string} query The GraphQL query
+   * @param {object} [variables] The values of the query's variables
+   * @param {object} options Options to use through the retry and request process. Must include path.
+   * @returns {promise} A promise for the nodes of all pages.
+   */
+  static graphqlAll(query, variables = {}, options = {}) {
+    return new RequestorAction(options).graphqlAll(query, variables, options.path, options.cursorVariable);
+  }
+
   /**
    * Get a requestor pre-configured with the given options.
    * @param {object} options The set of options with which to configure the result.
@@ -100,8 +311,8 @@ class GHRequestor {
 
   /**
    * Flatten a set of responses (e.g., pages) into one array of values.  If any
-   * repsonse is a 304 then ask the given supplier to resolve response to an array of
-   * values to be included in the result.  The supplier is given the response and
+   * repsonse is a 304 that was not already resolved from the cache then ask the given supplier
+   * to resolve response to an array of values to be included in the result.  The supplier is given the response and
    * should return a value or a promise.  A supplier may, for example, look in a local
    * cache for the previously fetched response.
    * @param {array} repsonses The GET responses to flatten
@@ -114,28 +325,90 @@ class GHRequestor {
         return Q(response.body);
       }
       if (response.statusCode === 304) {
+        if (response.fromCache) {
+          return Q(response.body);
+        }
         if (!supplier) {
-          return Q.reject(new Error(`304 response encountered but no content supplier found`));
+          return Q.reject(new PaginationError(`304 response encountered but no content supplier found`, { response: response, activity: responses.activity }));
         }
         return Q(supplier(response.url));
       }
-      return Q.reject(new Error(`Cannot flatten response with status code: ${response.statusCode}`));
+      const message = `Cannot flatten response with status code: ${response.statusCode}`;
+      return Q.reject(response.statusCode >= 400
+        ? RequestError.fromResponse(response, responses.activity, message)
+        : new PaginationError(message, { response: response, activity: responses.activity }));
     }));
     return Q.all(chunks).then(resolvedChunks => {
+      // Non-array bodies (e.g., a single resource or a diff) are one item each
       const result = resolvedChunks.reduce((result, element) => {
-        return result.concat(element);
+        return Array.isArray(element) ? result.concat(element) : result.concat([element]);
       }, []);
       result.activity = responses.activity;
+      if (responses.checkpoint) {
+        result.checkpoint = responses.checkpoint;
+      }
+      if (responses.etags) {
+        result.etags = responses.etags;
+      }
+      if (responses.highWaterMark !== undefined) {
+        result.highWaterMark = responses.highWaterMark;
+      }
       return result;
     });
   }
 }
 
 module.exports = GHRequestor;
+GHRequestor.AppAuth = AppAuth;
+GHRequestor.CancellationError = CancellationError;
+GHRequestor.ForbiddenError = errors.ForbiddenError;
+GHRequestor.NetworkError = NetworkError;
+GHRequestor.NotFoundError = errors.NotFoundError;
+GHRequestor.PaginationError = PaginationError;
+GHRequestor.RateLimitError = errors.RateLimitError;
+GHRequestor.RequestError = RequestError;
+GHRequestor.ServerError = errors.ServerError;
+GHRequestor.FakeClock = clock.FakeClock;
+GHRequestor.FileCache = FileCache;
+GHRequestor.FileQueueStore = FileQueueStore;
+GHRequestor.Incremental = Incremental;
+GHRequestor.MemoryCache = MemoryCache;
+GHRequestor.MemoryQueueStore = MemoryQueueStore;
+GHRequestor.Metrics = Metrics;
+GHRequestor.Queue = Queue;
+GHRequestor.QueueWorker = QueueWorker;
+GHRequestor.RateLimiter = RateLimiter;
+GHRequestor.Recorder = Recorder;
+GHRequestor.RetryPolicy = RetryPolicy;
+GHRequestor.TokenPool = TokenPool;
+GHRequestor.Traversal = Traversal;
+GHRequestor.VirtualClock = clock.VirtualClock;
 
-class RequestorTemplate {
+// Templates emit request, response, retry, throttle, page and error events for the requests made through them.
+class RequestorTemplate extends EventEmitter {
   constructor(options = {}) {
-    this.defaultOptions = options;
+    super();
+    // Create the token pool, app authenticator and rate limiter, if any, here so their state is shared by all requests
+    // made through this template.
+    const shared = RequestorAction._ensureShared(options);
+    // An emitter in the options is that of the template this one was created from (or one given by the caller).
+    // Events are passed along to it so its listeners see the activity of all templates derived from it.
+    this._parentEmitter = shared.emitter || null;
+    this.defaultOptions = extend({}, shared, { emitter: this });
+  }
+
+  emit(event, data) {
+    if (event !== 'error' || this.listenerCount('error')) {
+      super.emit(event, data);
+    }
+    if (this._parentEmitter) {
+      RequestorAction._emitOn(this._parentEmitter, event, data);
+    }
+    return true;
+  }
+
+  get rateLimiter() {
+    return this.defaultOptions.rateLimiter || null;
   }
 
   get(target, options, callback) {
@@ -146,6 +419,34 @@ class RequestorTemplate {
     return GHRequestor.get(target, GHRequestor.mergeOptions(this.defaultOptions, options), callback);
   }
 
+  search(kind, query, options) {
+    return GHRequestor.search(kind, query, GHRequestor.mergeOptions(this.defaultOptions, options));
+  }
+
+  post(target, body, options, callback) {
+    return this._send('POST', target, body, options, callback);
+  }
+
+  patch(target, body, options, callback) {
+    return this._send('PATCH', target, body, options, callback);
+  }
+
+  put(target, body, options, callback) {
+    return this._send('PUT', target, body, options, callback);
+  }
+
+  delete(target, options, callback) {
+    return this._send('DELETE', target, undefined, options, callback);
+  }
+
+  _send(method, target, body, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = null;
+    }
+    return GHRequestor._send(method, target, body, GHRequestor.mergeOptions(this.defaultOptions, options), callback);
+  }
+
   getAll(target, options, callback) {
     if (typeof options === 'function') {
       callback = options;
@@ -162,6 +463,31 @@ class RequestorTemplate {
     return GHRequestor.getAllResponses(target, GHRequestor.mergeOptions(this.defaultOptions, options), callback);
   }
 
+  graphql(query, variables, options) {
+    return GHRequestor.graphql(query, variables, GHRequestor.mergeOptions(this.defaultOptions, options));
+  }
+
+  graphqlAll(query, variables, options) {
+    return GHRequestor.graphqlAll(query, variables, GHRequestor.mergeOptions(this.defaultOptions, options));
+  }
+
+  iterate(target, options) {
+    return GHRequestor.iterate(target, GHRequestor.mergeOptions(this.defaultOptions, options));
+  }
+
+  stream(target, options) {
+    return GHRequestor.stream(target, GHRequestor.mergeOptions(this.defaultOptions, options));
+  }
+
+  traverse(rootUrl, rules, options) {
+    return GHRequestor.traverse(rootUrl, rules, GHRequestor.mergeOptions(this.defaultOptions, options));
+  }
+
+  // Create a worker that fetches the items of the given queue through this template
+  worker(queue, options) {
+    return new QueueWorker(queue, this, options);
+  }
+
   mergeOptions(defaultOptions, givenOptions) {
     return GHRequestor.mergeOptions(defaultOptions, givenOptions);
   }
@@ -176,11 +502,94 @@ class RequestorTemplate {
   }
 }
 
+class PageIterator {
+  constructor(action, target, each) {
+    this.action = action;
+    this.nextTarget = target;
+    this.each = each;
+    this.buffer = [];
+    this.done = false;
+    this._pending = Q();
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  next() {
+    // Calls to next may overlap (e.g., Promise.all) so each waits for the ones before it to settle
+    const result = this._pending.then(() => this._next());
+    this._pending = result.catch(() => null);
+    return result;
+  }
+
+  _next() {
+    if (this.buffer.length) {
+      return Q({ value: this.buffer.shift(), done: false });
+    }
+    if (this.done || !this.nextTarget) {
+      this.done = true;
+      this.action._stopWatchingCancellation();
+      return Q({ value: undefined, done: true });
+    }
+    return this._fetch().then(() => this._next());
+  }
+
+  return(value) {
+    if (!this.done) {
+      this.done = true;
+      this.buffer = [];
+      this.action._log('info', `IterateStopped`, {target: this.nextTarget});
+      this.action._stopWatchingCancellation();
+      this.action.abort();
+    }
+    return Q({ value: value, done: true });
+  }
+
+  _fetch() {
+    const self = this;
+    const target = this.nextTarget;
+    this.nextTarget = null;
+    return this.action._get(target).then(response => {
+      if (self.done) {
+        return;
+      }
+      const ok = response.statusCode < 300 || response.statusCode === 304;
+      if (ok && response.headers.link) {
+        const links = parse(response.headers.link);
+        self.nextTarget = links && links.next ? self.action._follow(target, links.next.url) : null;
+      }
+      if (self.each === 'page') {
+        return self.buffer.push(response);
+      }
+      if (!ok || (response.statusCode === 304 && !response.fromCache)) {
+        const message = ok ? `304 response encountered but no content supplier found` : `Cannot iterate response with status code: ${response.statusCode}`;
+        const details = { response: response, activity: self.action.activity };
+        throw response.statusCode >= 400 ? RequestError.fromResponse(response, details.activity, message) : new PaginationError(message, details);
+      }
+      self.buffer = self.buffer.concat(Array.isArray(response.body) ? response.body : [response.body]);
+    }).catch(err => {
+      if (self.done) {
+        return;
+      }
+      self.done = true;
+      self.action._log('error', `IterateError`, {target: target, error: err});
+      self.action._stopWatchingCancellation();
+      err.activity = self.action.activity;
+      const failure = self.action._failure(err);
+      self.action._emit('error', {target: target, error: failure});
+      throw failure;
+    });
+  }
+}
+
 class RequestorAction {
   constructor(givenOptions = {}) {
-    this.options = GHRequestor.mergeOptions(RequestorAction._defaultOptions, givenOptions);
-    this.options.retryStrategy = RequestorAction._retryStrategy.bind(this);
-    this.options.delayStrategy = RequestorAction._retryDelayStrategy.bind(this);
+    this.options = RequestorAction._ensureShared(RequestorAction._ensureEndpoints(GHRequestor.mergeOptions(RequestorAction._defaultOptions, givenOptions)));
+    this.retryPolicy = RetryPolicy.fromOptions(this.options);
+    this.options.maxAttempts = this.retryPolicy.maxAttempts;
+    // All waits happen on the given clock or, when replaying a recording, the recorder's virtual clock
+    this.clock = this.options.clock || (this.options.recorder ? this.options.recorder.clock : clock.systemClock);
     this._initialize();
     return this;
   }
@@ -188,6 +597,45 @@ class RequestorAction {
   _initialize() {
     this.result = [];
     this.activity = [];
+    this.aborted = false;
+    this.cancellation = null;
+    this._requests = new Set();
+    this._delays = new Set();
+    this.checkpoint = null;
+    this.etags = {};
+    this._keyed = new WeakMap();
+    this._pageOffset = 0;
+    this._incremental = null;
+  }
+
+  /**
+   * Stop this action. In-flight requests are aborted and pending delays are cut short. Both complete with
+   * an 'Aborted' error. No new requests are started.
+   */
+  abort() {
+    this.aborted = true;
+    const requests = Array.from(this._requests);
+    const delays = Array.from(this._delays);
+    this._requests.clear();
+    this._delays.clear();
+    requests.forEach(request => request.abort());
+    delays.forEach(delay => delay.cancel(new Error('Aborted')));
+  }
+
+  // Wait for the given time and then call the callback. If the action is aborted while waiting, the callback
+  // is called early with an error.
+  _delay(toSleep, callback) {
+    const self = this;
+    const delay = {};
+    const timer = this.clock.setTimeout(() => {
+      self._delays.delete(delay);
+      callback(null);
+    }, toSleep);
+    delay.cancel = err => {
+      self.clock.clearTimeout(timer);
+      callback(err);
+    };
+    this._delays.add(delay);
   }
 
   static get _defaultOptions() {
@@ -199,10 +647,133 @@ class RequestorAction {
       forbiddenDelay: 3 * 60 * 1000,
       delayOnThrottle: true,
       tokenLowerBound: 500,
+      searchTokenLowerBound: 2,
+      pageConcurrency: 1,
       logger: null
     };
   }
 
+  // Ensure that the API root (the baseUrl option) is normalized and that the search and GraphQL endpoints, unless
+  // given, are those of the same server. GHES serves GraphQL from /api/graphql rather than under /api/v3.
+  static _ensureEndpoints(options) {
+    const root = RequestorAction._apiRoot(options.baseUrl);
+    const graphqlRoot = root.endsWith('/api/v3') ? root.slice(0, -'/v3'.length) : root;
+    return extend({}, options, {
+      baseUrl: options.baseUrl ? root : null,
+      searchUrl: options.searchUrl || `${root}/search`,
+      graphqlUrl: options.graphqlUrl || `${graphqlRoot}/graphql`
+    });
+  }
+
+  // Get the root of the REST API at the given base URL (default github.com). GHES serves its REST API under
+  // /api/v3 of its host so that is added if the given URL is just the host.
+  static _apiRoot(baseUrl) {
+    const root = (baseUrl || 'https://api.github.com').replace(/\/+$/, '');
+    const isHost = /^https?:\/\/[^/]+$/i.test(root);
+    return isHost && !/^https?:\/\/api\.github\.com$/i.test(root) ? `${root}/api/v3` : root;
+  }
+
+  // Resolve the given target against the API root so paths like /repos/o/r work. Absolute URLs are left as is.
+  // Paths copied from GHES URLs may already have the /api/v3 prefix of the root.
+  _resolve(target) {
+    if (typeof target !== 'string' || RequestorAction._origin(target)) {
+      return target;
+    }
+    const root = RequestorAction._apiRoot(this.options.baseUrl);
+    const path = target.startsWith('/') ? target : `/${target}`;
+    return `${root}${root.endsWith('/api/v3') ? path.replace(/^\/api\/v3(?=[/?]|$)/, '') : path}`;
+  }
+
+  // Get the link (e.g., to the next page) to follow from the page at the given URL. Walks that start on the host
+  // of the baseUrl option stay there even if the server links to another name for itself (e.g., GHES behind a
+  // proxy or load balancer).
+  _follow(from, link) {
+    if (!this.options.baseUrl) {
+      return link;
+    }
+    const base = RequestorAction._origin(this.options.baseUrl);
+    const origin = RequestorAction._origin(link);
+    return origin && origin !== base && RequestorAction._origin(from) === base ? `${base}${link.slice(origin.length)}` : link;
+  }
+
+  static _origin(url) {
+    const match = /^[a-z][a-z0-9+.-]*:\/\/[^/?#]+/i.exec(url);
+    return match ? match[0].toLowerCase() : null;
+  }
+
+  // Ensure that the options for state shared across requests are objects. Arrays of token strings are
+  // wrapped in a new TokenPool, app settings become an AppAuth (minting tokens on the baseUrl server, if given, on
+  // the same clock and through the recorder, if any) and a rateLimiter of true becomes a new RateLimiter.
+  static _ensureShared(options) {
+    const isAppSettings = options && options.auth && !(options.auth instanceof AppAuth);
+    if (!options || !(Array.isArray(options.tokens) || isAppSettings || options.rateLimiter === true)) {
+      return options;
+    }
+    const result = extend({}, options);
+    if (Array.isArray(options.tokens)) {
+      result.tokens = new TokenPool(options.tokens, options.clock);
+    }
+    if (isAppSettings) {
+      const apiUrl = options.baseUrl ? RequestorAction._apiRoot(options.baseUrl) : undefined;
+      const recorder = options.recorder;
+      const shared = {
+        apiUrl: apiUrl,
+        clock: options.clock || (recorder ? recorder.clock : undefined),
+        send: recorder ? recorder.send.bind(recorder) : undefined
+      };
+      result.auth = new AppAuth(extend(shared, options.auth));
+    }
+    if (options.rateLimiter === true) {
+      result.rateLimiter = new RateLimiter({ clock: options.clock });
+    }
+    return result;
+  }
+
+  // The names of the options given to request. The others are ghrequestor's own and some of them (e.g., auth)
+  // mean something else to request.
+  static get _requestOptionNames() {
+    return [
+      'url', 'method', 'headers', 'body', 'json', 'encoding', 'qs', 'timeout', 'gzip', 'proxy', 'agent', 'agentOptions',
+      'forever', 'pool', 'strictSSL', 'rejectUnauthorized', 'ca', 'cert', 'key', 'passphrase', 'pfx', 'localAddress',
+      'followRedirect', 'maxRedirects', 'time'
+    ];
+  }
+
+  // Get the options to give request from the given options
+  static _requestOptions(options) {
+    const result = {};
+    RequestorAction._requestOptionNames.forEach(name => {
+      if (options[name] !== undefined) {
+        result[name] = options[name];
+      }
+    });
+    return result;
+  }
+
+  // Get the Accept header for the given mediaType option ({ format, previews }). Previews are named without the
+  // -preview suffix (e.g., mercy) and each is asked for in the format, if any.
+  static _accept(mediaType) {
+    const suffix = mediaType.format ? `.${mediaType.format}` : '+json';
+    const previews = (mediaType.previews || []).map(preview => `application/vnd.github.${preview.replace(/-preview$/, '')}-preview${suffix}`);
+    return previews.length ? previews.join(', ') : `application/vnd.github.v3${suffix}`;
+  }
+
+  // Formats other than JSON (e.g., raw, diff and patch) are not parsed
+  static _isJsonMediaType(mediaType) {
+    return !mediaType || !mediaType.format || /(^|\+)json$/.test(mediaType.format);
+  }
+
+  // Get the key under which the response for the given URL is cached. GitHub varies responses by Accept so
+  // other media types are cached apart from the default.
+  _cacheKey(target) {
+    const mediaType = this.options.mediaType;
+    return mediaType ? `${target} ${RequestorAction._accept(mediaType)}` : target;
+  }
+
+  static _isIdempotent(method) {
+    return !['POST', 'PATCH'].includes(method);
+  }
+
   // Ensure that the given URL has a per_page query parameter.
   // Either the one it already has or the max 100
   static _ensureMaxPerPage(url) {
@@ -216,11 +787,55 @@ class RequestorAction {
   getAll(target, callback = null) {
     this._initialize();
     const self = this;
-    self._log('info',`GetAllStarted`, {target: target});
-    return this._getAll(target, callback).then(result => {
+    // Keep track of where we are so the walk can be resumed from a checkpoint if it fails
+    const resume = this.options.resumeFrom;
+    const incremental = this.options.incremental;
+    this._incremental = incremental ? new Incremental(target, incremental === true ? {} : incremental) : null;
+    const resolved = this._resolve(target);
+    const start = this._incremental ? this._incremental.target(resolved) : resolved;
+    // Hand-built checkpoints and those saved by older versions may only have the next URL
+    this.checkpoint = resume ? { next: resume.next, page: resume.page || 0, etags: (resume.etags || []).slice() } : { next: start, page: 0, etags: [] };
+    this._pageOffset = this.checkpoint.page;
+    self._log('info',`GetAllStarted`, {target: this.checkpoint.next, page: this.checkpoint.page});
+    this._watchCancellation();
+    const walk = this.checkpoint.next ? this._getAll(this.checkpoint.next) : Q(this.result);
+    return this._complete(walk.then(result => {
       self.result.activity = self.activity;
+      self.result.checkpoint = self.checkpoint;
+      self.result.etags = self.etags;
+      if (self._incremental) {
+        self.result.highWaterMark = self._incremental.highWaterMark;
+      }
       return self.result;
-    });
+    }, err => {
+      // The responses up to the checkpoint so nothing fetched is lost when resuming
+      err.result = err.result || self.result;
+      err.checkpoint = self.checkpoint;
+      throw err;
+    }), callback);
+  }
+
+  // Drop the items of the given page that are not newer than the high-water mark of an incremental walk, if any.
+  // Returns true if the walk should stop here.
+  _acceptIncremental(response) {
+    if (!this._incremental || !Array.isArray(response.body)) {
+      return false;
+    }
+    const page = this._incremental.accept(response.body);
+    response.body = page.items;
+    return page.done;
+  }
+
+  // Record that the page at the checkpoint, the given URL, was fetched and that the given next URL, if any, is the
+  // next page.
+  _advance(target, response, next) {
+    const etag = response.validators ? response.validators.etag : response.headers.etag;
+    this.checkpoint.etags.push(etag || null);
+    if (etag) {
+      this.etags[RequestorAction._pageKey(target)] = etag;
+    }
+    this.checkpoint.page++;
+    this.checkpoint.next = next;
   }
 
   _getAll(target, callback = null) {
@@ -250,13 +865,20 @@ class RequestorAction {
         return realCallback(null, self.result);
       }
 
-      // if there is a next page, go for it.
-      if (response.headers.link) {
-        const links = parse(response.headers.link);
-        if (links.next) {
-          self._log('info', `GetAllResponseNextPage`, {target: links.next.url});
-          return self._getAll(links.next.url, realCallback);
+      // if there is a next page, go for it. Incremental walks of newest first collections stop at the first old item.
+      const links = response.headers.link ? parse(response.headers.link) : null;
+      const done = self._acceptIncremental(response);
+      const next = links && links.next && !done ? self._follow(target, links.next.url) : null;
+      self._advance(target, response, next);
+      if (next) {
+        // the first page tells us how many pages there are so fetch the rest concurrently if allowed.
+        const pages = self.result.length === 1 ? self._pageUrls(links, next) : null;
+        if (pages) {
+          self._log('info', `GetAllConcurrentPages`, {target: target, pages: pages.length});
+          return self._getPages(pages, realCallback);
         }
+        self._log('info', `GetAllResponseNextPage`, {target: next});
+        return self._getAll(next, realCallback);
       }
 
       realCallback(null, self.result);
@@ -264,69 +886,745 @@ class RequestorAction {
     return callback ? null : deferred.promise;
   }
 
+  // Compute the URLs of the remaining pages from the next and last links and the given URL of the next page to
+  // follow. Returns null if concurrent fetching is not enabled or the links do not say which pages remain.
+  _pageUrls(links, nextUrl) {
+    const concurrency = this.options.pageConcurrency;
+    // Walks that stop at the first old item cannot know up front which pages they will need
+    const stops = this._incremental && this._incremental.strategy === 'newestFirst';
+    if (stops || !concurrency || concurrency < 2 || !links.last || !/[?&]page=\d+/.test(nextUrl)) {
+      return null;
+    }
+    const next = parseInt(links.next.page);
+    const last = parseInt(links.last.page);
+    if (isNaN(next) || isNaN(last) || next > last) {
+      return null;
+    }
+    const result = [];
+    for (let page = next; page <= last; page++) {
+      result.push({ page: page, last: last, url: nextUrl.replace(/([?&])page=\d+/, `$1page=${page}`) });
+    }
+    return result;
+  }
+
+  // Fetch the given pages concurrently and add the responses to the result in page order. Each page's
+  // activity entry is allotted up front so activity stays in page order. If a page's links are not what
+  // we expected (e.g., the resource changed while paging), drop that page and the ones after it and
+  // continue with the serial walk from there.
+  _getPages(pages, callback) {
+    const self = this;
+    const base = this.activity.length;
+    const fetch = qlimit(this.options.pageConcurrency)((page, index) => {
+      const deferred = Q.defer();
+      self._get(page.url, (err, response) => err ? deferred.reject(err) : deferred.resolve(response), base + index);
+      return deferred.promise;
+    });
+    Q.allSettled(pages.map((page, index) => fetch(page, index))).then(outcomes => {
+      for (let i = 0; i < outcomes.length; i++) {
+        const page = pages[i];
+        if (outcomes[i].state === 'rejected') {
+          const err = outcomes[i].reason;
+          self._log('error',`GetAllError`, {target: page.url, error: err});
+          err.activity = self.activity;
+          return callback(err);
+        }
+        const response = outcomes[i].value;
+        if (response.statusCode >= 300 && response.statusCode !== 304) {
+          self.result.push(response);
+          self.activity.length = base + i + 1;
+          self._log('error',`GetAllResponseFail`, {target: page.url, statusCode: response.statusCode, message:response.statusMessage });
+          return callback(null, self.result);
+        }
+        if (!RequestorAction._isConsistentPage(page, response)) {
+          self.activity.length = base + i;
+          self._log('info', `GetAllConcurrentPagesInconsistent`, {target: page.url, page: page.page});
+          return self._getAll(page.url, callback);
+        }
+        self._acceptIncremental(response);
+        self.result.push(response);
+        self._advance(page.url, response, i + 1 < pages.length ? pages[i + 1].url : null);
+      }
+      callback(null, self.result);
+    });
+  }
+
+  // A page is consistent if it links to the next page we expect or, for the last page, has no next link.
+  static _isConsistentPage(page, response) {
+    const links = response.headers.link ? parse(response.headers.link) : null;
+    if (!links) {
+      return page.page === page.last || response.statusCode === 304;
+    }
+    if (page.page === page.last) {
+      return !links.next;
+    }
+    return !!links.next && parseInt(links.next.page) === page.page + 1;
+  }
+
+  iterate(target, each = 'page') {
+    this._initialize();
+    this._log('info', `IterateStarted`, {target: target});
+    this._watchCancellation();
+    return new PageIterator(this, this._resolve(target), each);
+  }
+
+  graphql(query, variables = {}) {
+    this._initialize();
+    this._log('info', `GraphqlStarted`, {target: this.options.graphqlUrl});
+    this._watchCancellation();
+    return this._complete(this._graphql(query, variables));
+  }
+
+  graphqlAll(query, variables = {}, path, cursorVariable = 'cursor') {
+    this._initialize();
+    this._log('info', `GraphqlAllStarted`, {target: this.options.graphqlUrl, path: path});
+    this._watchCancellation();
+    const self = this;
+    const nodes = this.result;
+    const fetch = cursor => {
+      const pageVariables = extend({}, variables, { [cursorVariable]: cursor });
+      return self._graphql(query, pageVariables).then(response => {
+        const connection = RequestorAction._graphqlConnection(response, path);
+        self._emit('page', {target: self.options.graphqlUrl, index: self.activity.length - 1, statusCode: response.statusCode});
+        nodes.push.apply(nodes, connection.nodes || (connection.edges || []).map(edge => edge.node));
+        const pageInfo = connection.pageInfo;
+        if (!pageInfo) {
+          throw self._responseError(`No pageInfo found at ${path}`, response);
+        }
+        if (pageInfo.hasNextPage) {
+          self._log('info', `GraphqlAllNextPage`, {target: self.options.graphqlUrl, cursor: pageInfo.endCursor});
+          return fetch(pageInfo.endCursor);
+        }
+        nodes.activity = self.activity;
+        return nodes;
+      });
+    };
+    return this._complete(fetch(variables[cursorVariable] || null).catch(err => {
+      self._log('error', `GraphqlAllError`, {target: self.options.graphqlUrl, error: err});
+      err.activity = self.activity;
+      throw err;
+    }));
+  }
+
+  // POST the query to the GraphQL endpoint. Responses that are not 200 OK, or carry errors and no data, are rejected.
+  _graphql(query, variables) {
+    const self = this;
+    // Queries are safe to retry even though they are POSTed
+    const spec = { method: 'POST', target: this.options.graphqlUrl, body: { query: query, variables: variables }, idempotent: true };
+    return this._request(spec).then(response => {
+      const body = response.body || {};
+      if (response.statusCode !== 200) {
+        throw self._responseError(`GraphQL request failed with status code: ${response.statusCode}`, response);
+      }
+      if (body.errors && body.errors.length && !body.data) {
+        throw self._responseError(`GraphQL request failed: ${body.errors[0].message}`, response);
+      }
+      return response;
+    });
+  }
+
+  _responseError(message, response) {
+    return RequestError.fromResponse(response, this.activity, message);
+  }
+
+  // Find the connection (the object with pageInfo and nodes or edges) at the given dot separated path under data.
+  static _graphqlConnection(response, path) {
+    const connection = (path || '').split('.').filter(part => part).reduce((value, part) => {
+      return value ? value[part] : undefined;
+    }, response.body.data);
+    if (!connection) {
+      const err = new Error(`No connection found at ${path}`);
+      err.response = response;
+      throw err;
+    }
+    return connection;
+  }
+
+  search(kind, query, split = null) {
+    this._initialize();
+    this._log('info', `SearchStarted`, {kind: kind, query: query});
+    this._watchCancellation();
+    const self = this;
+    const items = this.result;
+    items.totalCount = 0;
+    items.incomplete = false;
+    const range = split ? RequestorAction._searchRange(split) : null;
+    return this._complete(this._search(kind, query, range, items).then(() => {
+      items.activity = self.activity;
+      return items;
+    }));
+  }
+
+  // Search for the query, restricted to the given range (if any), adding the results to the given items.
+  // If there are more results than search will return and the range can be split, search each half instead.
+  _search(kind, query, range, items) {
+    const self = this;
+    const rangedQuery = range ? `${query} ${range.qualifier}:${RequestorAction._searchDate(range.from)}..${RequestorAction._searchDate(range.to)}` : query;
+    const target = `${this.options.searchUrl}/${kind}?q=${encodeURIComponent(rangedQuery)}${RequestorAction._searchSort(this.options)}`;
+    return this._get(target).then(response => {
+      if (response.statusCode !== 200) {
+        throw self._responseError(`Search failed with status code: ${response.statusCode}`, response);
+      }
+      const total = response.body.total_count;
+      if (range && total > 1000 && range.to - range.from > 1000) {
+        const middle = new Date(Math.floor((range.from.getTime() + range.to.getTime()) / 2000) * 1000);
+        self._log('info', `SearchSplit`, {kind: kind, query: rangedQuery, total: total});
+        const first = extend({}, range, { to: middle });
+        const second = extend({}, range, { from: new Date(middle.getTime() + 1000) });
+        return self._search(kind, query, first, items).then(() => self._search(kind, query, second, items));
+      }
+      if (total > 1000) {
+        self._log('warn', `SearchResultsCapped`, {kind: kind, query: rangedQuery, total: total});
+      }
+      items.totalCount += total;
+      return self._searchPages(rangedQuery, response, items);
+    });
+  }
+
+  // Collect the items of the given search response and those of the pages that follow it.
+  _searchPages(query, response, items) {
+    const self = this;
+    if (response.statusCode !== 200) {
+      throw this._responseError(`Search failed with status code: ${response.statusCode}`, response);
+    }
+    if (response.body.incomplete_results) {
+      this._log('warn', `SearchIncompleteResults`, {query: query});
+      items.incomplete = true;
+    }
+    items.push.apply(items, response.body.items || []);
+    const links = response.headers.link ? parse(response.headers.link) : null;
+    if (!links || !links.next) {
+      return Q(items);
+    }
+    return this._get(this._follow(this.options.searchUrl, links.next.url)).then(next => self._searchPages(query, next, items));
+  }
+
+  // Get the { qualifier, from, to } range to split searches on. The given value is either the name of a date
+  // qualifier (e.g., created) or an object with a qualifier and optional from and to dates.
+  static _searchRange(split) {
+    const range = typeof split === 'string' ? { qualifier: split } : split;
+    const from = new Date(range.from || '2007-10-01T00:00:00Z');
+    const to = new Date(range.to || Date.now());
+    return { qualifier: range.qualifier, from: new Date(Math.floor(from.getTime() / 1000) * 1000), to: new Date(Math.floor(to.getTime() / 1000) * 1000) };
+  }
+
+  static _searchDate(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+
+  static _searchSort(options) {
+    const sort = options.sort ? `&sort=${encodeURIComponent(options.sort)}` : '';
+    return options.order ? `${sort}&order=${encodeURIComponent(options.order)}` : sort;
+  }
+
+  send(method, target, body, callback = null) {
+    this._initialize();
+    this._log('info', `SendStarted`, {method: method, target: target});
+    this._watchCancellation();
+    return this._complete(this._request({ method: method, target: target, body: body }), callback);
+  }
+
   get(target, callback = null) {
     this._initialize();
     this._log('info',`GetStarted`, {target: target});
-    return this._get(target, callback);
+    this._watchCancellation();
+    return this._complete(this._get(target), callback);
   }
 
-  _get(target, callback = null) {
+  // Finish an operation. Stop watching for cancellation and, if the operation was cancelled, replace the
+  // error with a CancellationError carrying the partial result. If a callback is given, call it with the
+  // outcome and return null. Otherwise return a promise.
+  _complete(promise, callback = null) {
+    const self = this;
+    const result = promise.then(
+      value => {
+        self._stopWatchingCancellation();
+        return value;
+      },
+      err => {
+        self._stopWatchingCancellation();
+        const failure = self._failure(err);
+        self._emit('error', {error: failure});
+        throw failure;
+      });
+    if (!callback) {
+      return result;
+    }
+    result.then(value => callback(null, value, value ? value.body : undefined), err => callback(err, err.response));
+    return null;
+  }
+
+  // Get the error to report for the given failure. Failures caused by cancellation are reported as such.
+  _failure(err) {
+    if (!this.cancellation || err instanceof CancellationError) {
+      return err;
+    }
+    const cancellation = new CancellationError(this.cancellation, this.result, this.activity);
+    if (err.checkpoint) {
+      cancellation.checkpoint = err.checkpoint;
+    }
+    return cancellation;
+  }
+
+  // Cancel this action when the signal option is aborted or the deadline (an epoch time in milliseconds
+  // or a Date) or totalTimeout (milliseconds from now) passes, whichever comes first.
+  _watchCancellation() {
+    const self = this;
+    const signal = this.options.signal;
+    if (signal) {
+      if (signal.aborted) {
+        return this._cancel('aborted');
+      }
+      this._onAbort = () => self._cancel('aborted');
+      signal.addEventListener('abort', this._onAbort);
+    }
+    const deadlines = [];
+    if (this.options.deadline) {
+      deadlines.push(new Date(this.options.deadline).getTime());
+    }
+    if (this.options.totalTimeout) {
+      deadlines.push(this.clock.now() + this.options.totalTimeout);
+    }
+    if (deadlines.length) {
+      const toWait = Math.max(Math.min.apply(null, deadlines) - this.clock.now(), 0);
+      this._deadlineTimer = this.clock.setTimeout(() => self._cancel('timeout'), toWait);
+    }
+  }
+
+  _stopWatchingCancellation() {
+    if (this._onAbort) {
+      this.options.signal.removeEventListener('abort', this._onAbort);
+      this._onAbort = null;
+    }
+    this.clock.clearTimeout(this._deadlineTimer);
+    this._deadlineTimer = null;
+  }
+
+  _cancel(reason) {
+    if (this.cancellation) {
+      return;
+    }
+    this.cancellation = reason;
+    this._log('info', `Cancelled`, {reason: reason});
+    this.abort();
+  }
+
+  // Get the given target. The index, if given, is the slot in the activity list to use for this request.
+  // Otherwise the activity is added to the end of the list.
+  _get(target, callback = null, index = null) {
+    return this._request({ method: 'GET', target: RequestorAction._ensureMaxPerPage(this._resolve(target)) }, callback, index);
+  }
+
+  // Issue the given request ({ method, target, body }) through the retry, throttling and caching pipeline.
+  // Validators (etags and last modified dates) and the cache only apply to GET requests.
+  _request(spec, callback = null, index = null) {
     const deferred = Q.defer();
-    target = RequestorAction._ensureMaxPerPage(target);
+    spec = extend({}, spec, { target: this._resolve(spec.target) });
+    const target = spec.target;
     const self = this;
     const activity = {};
-    this.activity.push(activity);
-    let options = this.options;
-    if (this.options.etags) {
-      const etag = this.options.etags[this.activity.length - 1];
-      if (etag) {
-        options = GHRequestor.mergeOptions(this.options, { headers: { 'If-None-Match': etag } });
+    index = index === null ? this.activity.length : index;
+    this.activity[index] = activity;
+    const isGet = spec.method === 'GET';
+    const validators = {
+      etag: isGet ? this._validatorFor(this.options.etags, target, index) : null,
+      lastModified: isGet ? this._validatorFor(this.options.lastModified, target, index) : null
+    };
+    const done = (err, response, body) => {
+      if (isGet && !err) {
+        self._emit('page', {target: target, index: index, statusCode: response.statusCode});
+      }
+      if (callback) {
+        return callback(err, response, body);
       }
+      return err ? deferred.reject(err) : deferred.resolve(response);
+    };
+
+    if (!this.options.cache || !isGet) {
+      this._send(spec, activity, validators, null, done);
+      return callback ? null : deferred.promise;
+    }
+    Q(this.options.cache.get(this._cacheKey(target))).then(
+      cached => cached,
+      err => {
+        self._log('warn', `GetCacheReadFailed`, {target: target, error: err});
+        return null;
+      }).then(cached => {
+        if (cached) {
+          validators.etag = validators.etag || cached.etag || null;
+          validators.lastModified = validators.lastModified || cached.lastModified || null;
+        }
+        self._send(spec, activity, validators, cached, done);
+      });
+    return callback ? null : deferred.promise;
+  }
+
+  // Get the validator (etag or last modified date) to send for the page with the given URL and activity index.
+  // The given values are either an array indexed by page (from the start of the walk when resuming) or an object
+  // or Map keyed by page URL.
+  _validatorFor(values, target, index) {
+    if (!values) {
+      return null;
     }
+    if (Array.isArray(values)) {
+      return values[this._pageOffset + index] || null;
+    }
+    // Normalize the keys once per walk rather than once per page
+    if (!this._keyed.has(values)) {
+      const entries = values instanceof Map ? Array.from(values.entries()) : Object.keys(values).map(key => [key, values[key]]);
+      this._keyed.set(values, new Map(entries.map(entry => [RequestorAction._pageKey(this._resolve(entry[0])), entry[1]])));
+    }
+    return this._keyed.get(values).get(RequestorAction._pageKey(target)) || null;
+  }
+
+  // Get the URL under which the validators of the page at the given URL are kept. That is the URL without the
+  // per_page added by _ensureMaxPerPage and with its query parameters in order so that, for example, the URL
+  // given to getAll and the URL GitHub links to for page 2 both match the keys returned in the etags of the result.
+  static _pageKey(target) {
+    const start = target.indexOf('?');
+    if (start === -1) {
+      return target;
+    }
+    const params = target.slice(start + 1).split('&').filter(param => param && param !== 'per_page=100').sort();
+    return params.length ? `${target.slice(0, start)}?${params.join('&')}` : target.slice(0, start);
+  }
 
-    const actualRetry = options.retryStrategy;
+  _send(spec, activity, validators, cached, callback) {
+    const self = this;
+    const target = spec.target;
+    if (this.aborted) {
+      const err = new Error('Aborted');
+      err.activity = this.activity;
+      return callback(err);
+    }
+    if (this.options.auth && !spec.authorization) {
+      return this._authorize(spec, activity, validators, cached, callback);
+    }
+    const headers = {};
+    if (validators.etag) {
+      headers['If-None-Match'] = validators.etag;
+    }
+    if (validators.lastModified) {
+      const lastModified = validators.lastModified;
+      headers['If-Modified-Since'] = lastModified instanceof Date ? lastModified.toUTCString() : lastModified;
+    }
+    const pool = this.options.tokens;
+    const credential = { token: pool && !spec.authorization ? pool.pick() : null };
+    if (spec.authorization) {
+      headers.authorization = spec.authorization;
+    } else if (credential.token) {
+      headers.authorization = `token ${credential.token}`;
+      activity.token = TokenPool.redact(credential.token);
+    }
+    const mediaType = this.options.mediaType;
+    if (mediaType) {
+      headers.Accept = RequestorAction._accept(mediaType);
+    }
+    if (this.options.apiVersion) {
+      headers['X-GitHub-Api-Version'] = this.options.apiVersion;
+    }
+    // Each request gets its own options and strategies so retry state is tracked per request
+    const options = GHRequestor.mergeOptions(this.options, { headers: headers, method: spec.method, url: target });
+    if (spec.body !== undefined) {
+      options.body = spec.body;
+    }
+    if (!RequestorAction._isJsonMediaType(mediaType)) {
+      // Responses are kept as text or, if asked, a Buffer. Bodies sent are still JSON.
+      options.json = false;
+      if (mediaType.buffer) {
+        options.encoding = null;
+      }
+      if (spec.body !== undefined && typeof spec.body !== 'string') {
+        options.body = JSON.stringify(spec.body);
+        options.headers['Content-Type'] = 'application/json';
+      }
+    }
+    const idempotent = spec.idempotent === undefined ? RequestorAction._isIdempotent(spec.method) : spec.idempotent;
+    const retryState = { method: spec.method, target: target, activity: activity, idempotent: idempotent, start: this.clock.now(), retries: 0, delay: null };
+    options.retryStrategy = RequestorAction._retryStrategy.bind(this, retryState);
+    options.delayStrategy = RequestorAction._retryDelayStrategy.bind(this, retryState);
+    if (credential.token) {
+      options.retryStrategy = self._tokenRotationStrategy(options, activity, credential);
+    }
     options.retryStrategy = RequestorAction._retryStrategyWrapper(target, self._log.bind(self), options.retryStrategy);
 
-    request.get(target, options, (err, response, body) => {
-      options.retryStrategy = actualRetry;
+    const limiter = this.options.rateLimiter;
+    if (!limiter) {
+      return this._dispatch(options, activity, credential, cached, callback);
+    }
+    const limitKey = limiter.keyFor(options.headers.authorization, target);
+    this._acquire(limiter, limitKey, activity, err => {
+      if (err) {
+        return callback(err);
+      }
+      self._dispatch(options, activity, credential, cached, (err, response, body) => {
+        limiter.release(limitKey, response ? RequestorAction._rateLimitState(response) : null);
+        callback(err, response, body);
+      });
+    });
+  }
+
+  // Send the given request using an installation token from the app authenticator. If GitHub rejects the token
+  // (e.g., it was revoked), it is discarded and the request is sent once more with a freshly minted token.
+  _authorize(spec, activity, validators, cached, callback) {
+    const self = this;
+    const auth = this.options.auth;
+    auth.getToken().then(token => {
+      const authorized = extend({}, spec, { authorization: `token ${token}` });
+      self._send(authorized, activity, validators, cached, (err, response, body) => {
+        if (response && response.statusCode === 401 && !spec.reauthorized) {
+          self._log('info', `GetAppTokenRejected`, {target: spec.target});
+          auth.invalidate(token);
+          activity.reauthorized = true;
+          return self._send(extend({}, spec, { reauthorized: true }), activity, validators, cached, callback);
+        }
+        callback(err, response, body);
+      });
+    }, err => {
+      self._log('error', `GetAppTokenFailed`, {target: spec.target, error: err});
+      err.activity = self.activity;
+      callback(err);
+    }).done();
+  }
+
+  // Wait for the shared rate limiter to let a request through. The wait is recorded as a rateLimitDelay and,
+  // like any other delay, is cut short if the action is aborted.
+  _acquire(limiter, key, activity, callback) {
+    const self = this;
+    const start = this.clock.now();
+    const delay = {};
+    let granted = false;
+    let queued = false;
+    const ticket = limiter.acquire(key, () => {
+      granted = true;
+      if (queued) {
+        self._delays.delete(delay);
+        activity.rateLimitDelay = self.clock.now() - start;
+        self._emit('throttle', {resource: limiter.buckets.get(key).resource, reason: 'rateLimiter', delay: activity.rateLimitDelay});
+      }
+      callback(null);
+    });
+    if (granted) {
+      return;
+    }
+    queued = true;
+    this._log('info', `GetRateLimiterDelayStarted`, {resource: limiter.buckets.get(key).resource});
+    delay.cancel = err => {
+      ticket.cancel();
+      err.activity = self.activity;
+      callback(err);
+    };
+    this._delays.add(delay);
+  }
+
+  _dispatch(options, activity, credential, cached, callback) {
+    const self = this;
+    const target = options.url;
+    const pool = this.options.tokens;
+    const pending = this._transmit(options, (err, response, body) => {
+      self._requests.delete(pending);
       if (response) {
         self._log('debug', `GetResponseReceived`, {target: target, attempts: response.attempts, statusCode: response.statusCode });
         activity.attempts = response.attempts;
         response.activity = self.activity;
+        response.validators = RequestorAction._validators(response, options.headers);
+        if (response.validators.etag) {
+          activity.etag = response.validators.etag;
+        }
+        if (response.validators.lastModified) {
+          activity.lastModified = response.validators.lastModified;
+        }
       }
       if (err || !response) {
+        // Errors from aborting are not network errors
         err = err || new Error(response.statusMessage);
+        err = self.aborted || err instanceof RequestError ? err : new NetworkError(err);
         self._log('error', `GetError`, {target: target, error: err});
         err.response = response;
         err.activity = self.activity;
-        return callback ? callback(err, response, body) : deferred.reject(err);
+        return callback(err, response, body);
       }
-      // Failed here so resolve with the same response
+      self._updateCache(target, activity, cached, response);
+      // Failed here so resolve with the same response unless told to throw
       if (response.statusCode >= 300) {
         self._log('error', `GetFailedResponse`, {target: target, statusCode: response.statusCode, message:response.statusMessage });
-        return callback ? callback(err, response, body) : deferred.resolve(response);
+        if (self.options.throwOnHttpError && response.statusCode >= 400) {
+          return callback(RequestError.fromResponse(response, self.activity), response, response.body);
+        }
+        return callback(err, response, response.body);
       }
 
       // If we hit the low water mark for requests, proactively sleep until the next ratelimit reset
       // This code is not designed to handle the 403 scenarios.  That is handled by the retry logic.
-      const remaining = parseInt(response.headers['x-ratelimit-remaining']) || 0;
-      const reset = parseInt(response.headers['x-ratelimit-reset']) || 0;
-      if (self.options.delayOnThrottle && remaining < self.options.tokenLowerBound) {
-        const toSleep = Math.max(reset * 1000 - Date.now(), 2000);
+      // When using a token pool, only sleep if every token in the pool is exhausted.
+      // GHES with rate limiting disabled sends no x-ratelimit-* headers so there is no budget to keep to
+      const limits = RequestorAction._rateLimitState(response);
+      if (limits && limits.cost !== undefined) {
+        activity.cost = limits.cost;
+      }
+      // Search has its own, much smaller, budget so gets its own lower bound. The token pool only tracks the core budget.
+      const resource = RateLimiter.resourceFor(target);
+      const lowerBound = resource === 'search' ? self.options.searchTokenLowerBound : self.options.tokenLowerBound;
+      const usePool = credential.token && resource === 'core';
+      const remaining = limits ? limits.remaining : null;
+      const reset = usePool ? pool.nextReset() : (limits ? limits.reset : 0);
+      const exhausted = usePool ? pool.isExhausted(lowerBound) : !!limits && remaining < lowerBound;
+      // A shared rate limiter, if any, has already gated this request so there is no need to sleep here.
+      if (self.options.delayOnThrottle && exhausted && !self.options.rateLimiter) {
+        const toSleep = Math.max(reset * 1000 - self.clock.now(), 2000);
         activity.rateLimitDelay = toSleep;
-        // if in test mode, don't actually sleep.  Fall through having remembered
-        // that we would have slept and how much
-        if (self.options.mode !== 'test') {
-          self._log('info', `GetTokenDelayStarted`, {target: target, toSleep: toSleep, remaining: remaining, reset: reset });
-          return setTimeout(() => {
-            return callback ? callback(err, response, body) : deferred.resolve(response);
-          }, toSleep);
-        }
+        self._log('info', `GetTokenDelayStarted`, {target: target, toSleep: toSleep, remaining: remaining, reset: reset });
+        self._emit('throttle', {target: target, resource: resource, reason: 'lowerBound', delay: toSleep, remaining: remaining, reset: reset});
+        return self._delay(toSleep, delayError => {
+          if (delayError) {
+            delayError.response = response;
+            delayError.activity = self.activity;
+          }
+          return callback(delayError, response, body);
+        });
       }
-      callback ? callback(err, response, body) : deferred.resolve(response);
+      callback(err, response, body);
     });
-    options.retryStrategy = actualRetry;
-    return callback ? null : deferred.promise;
+    this._requests.add(pending);
+  }
+
+  // Send the given request, making further attempts while its retryStrategy says to and waiting between them as
+  // long as its delayStrategy says. Attempts go through the recorder, if any. Returns a handle whose abort()
+  // stops the request and completes it with an 'Aborted' error.
+  _transmit(options, callback) {
+    const self = this;
+    const recorder = this.options.recorder;
+    const handle = { attempts: 0, request: null, timer: null, done: false };
+    const finish = (err, response, body) => {
+      if (!handle.done) {
+        handle.done = true;
+        callback(err, response, body);
+      }
+    };
+    const attempt = () => {
+      handle.attempts++;
+      self._emit('request', {method: options.method, target: options.url, attempt: handle.attempts});
+      const send = recorder ? recorder.send.bind(recorder) : request.Request.request;
+      let returned = false;
+      const complete = (err, response, body) => {
+        handle.request = null;
+        if (handle.done) {
+          return;
+        }
+        if (response) {
+          response.attempts = handle.attempts;
+          self._emit('response', RequestorAction._responseEvent(options, response, handle.attempts));
+        }
+        if (err && typeof err === 'object') {
+          err.attempts = handle.attempts;
+        }
+        // The strategy also keeps track of the token pool and rate limits so it is asked even on the last attempt
+        const retry = options.retryStrategy(err, response, body);
+        if (retry && handle.attempts < options.maxAttempts) {
+          handle.timer = self.clock.setTimeout(attempt, options.delayStrategy(err, response, body));
+          return;
+        }
+        finish(err, response, body);
+      };
+      // request can call back before returning (e.g., for bad options) so wait until the caller has the handle
+      handle.request = send(RequestorAction._requestOptions(options), (err, response, body) => {
+        return returned ? complete(err, response, body) : process.nextTick(() => complete(err, response, body));
+      });
+      returned = true;
+    };
+    handle.abort = () => {
+      if (handle.request && handle.request.abort) {
+        handle.request.abort();
+      }
+      self.clock.clearTimeout(handle.timer);
+      finish(new Error('Aborted'));
+    };
+    attempt();
+    return handle;
+  }
+
+  static _responseEvent(options, response, attempt) {
+    const data = { method: options.method, target: options.url, attempt: attempt, statusCode: response.statusCode };
+    const limits = response.headers ? RequestorAction._rateLimitState(response) : null;
+    if (limits) {
+      data.resource = RateLimiter.resourceFor(options.url);
+      data.remaining = limits.remaining;
+      data.reset = limits.reset;
+    }
+    return data;
+  }
+
+  // Get the validators of the given response in a normalized form. Weak etags keep their W/ prefix. 304s do not
+  // always repeat the validators so they fall back to those sent in the given request headers.
+  static _validators(response, sent = {}) {
+    const headers = response.headers || {};
+    const notModified = response.statusCode === 304;
+    return {
+      etag: headers.etag || (notModified && sent['If-None-Match']) || null,
+      lastModified: headers['last-modified'] || (notModified && sent['If-Modified-Since']) || null
+    };
+  }
+
+  // Get the remaining requests and reset time (epoch seconds) reported by the response. A GraphQL rateLimit
+  // block in the body, if queried, takes precedence over the x-ratelimit-* headers. Returns null if neither
+  // is present.
+  static _rateLimitState(response) {
+    const data = response.body && response.body.data;
+    const rateLimit = data ? data.rateLimit : null;
+    if (rateLimit && rateLimit.remaining !== undefined) {
+      const reset = Math.floor(Date.parse(rateLimit.resetAt) / 1000) || 0;
+      return { remaining: rateLimit.remaining, reset: reset, cost: rateLimit.cost };
+    }
+    if (response.headers['x-ratelimit-remaining'] === undefined) {
+      return null;
+    }
+    return {
+      remaining: parseInt(response.headers['x-ratelimit-remaining']) || 0,
+      reset: parseInt(response.headers['x-ratelimit-reset']) || 0
+    };
+  }
+
+  // Wrap the retry strategy so that each response updates the token pool. When the token in use runs out
+  // (a primary rate limit), switch to another token that has requests left rather than waiting for the reset.
+  _tokenRotationStrategy(options, activity, credential) {
+    const pool = this.options.tokens;
+    const retryStrategy = options.retryStrategy;
+    // The pool tracks the core budget of each token so other buckets (e.g., search) do not update it
+    const core = RateLimiter.resourceFor(options.url) === 'core';
+    return (err, response, body) => {
+      if (response && core) {
+        pool.update(credential.token, response.headers);
+      }
+      const retry = retryStrategy(err, response, body);
+      if (retry && response && response._limit && response._limit.type === 'primaryRateLimit' && !pool.isExhausted(1)) {
+        credential.token = pool.pick();
+        options.headers.authorization = `token ${credential.token}`;
+        activity.token = TokenPool.redact(credential.token);
+        response._limit = { type: 'tokenRotation', delay: 0 };
+      }
+      return retry;
+    };
+  }
+
+  // Store fresh 200 responses in the cache (if any) and fill in the body of 304 responses from it.
+  _updateCache(target, activity, cached, response) {
+    const self = this;
+    const cache = this.options.cache;
+    if (!cache) {
+      return;
+    }
+    if (response.statusCode === 304 && cached) {
+      response.body = cached.body;
+      response.fromCache = true;
+      activity.cached = true;
+      return;
+    }
+    const validators = response.validators;
+    if (response.statusCode === 200 && (validators.etag || validators.lastModified)) {
+      const entry = { etag: validators.etag, lastModified: validators.lastModified, body: response.body };
+      Q(cache.set(this._cacheKey(target), entry)).catch(err => {
+        self._log('warn', `GetCacheWriteFailed`, {target: target, error: err});
+      });
+    }
   }
 
   _log(level, message, data) {
@@ -336,30 +1634,117 @@ class RequestorAction {
     }
   }
 
-  static _retryStrategy(err, response, body) {
-    // if we received a 403 then extra ratelimiting has been applied.
-    // Wait a few minutes and then try again.  If its a 5** or error then retry.
+  _emit(event, data) {
+    if (this.options.emitter) {
+      RequestorAction._emitOn(this.options.emitter, event, data);
+    }
+  }
+
+  // Error events on an EventEmitter throw if no one is listening so only emit them to listeners. Templates
+  // take care of that themselves as they pass events along to their parent.
+  static _emitOn(emitter, event, data) {
+    if (event === 'error' && !(emitter instanceof RequestorTemplate) && !emitter.listenerCount('error')) {
+      return;
+    }
+    emitter.emit(event, data);
+  }
+
+  static _retryStrategy(retryState, err, response, body) {
+    // 403 and 429 responses are either rate limiting (primary or secondary) or a lack of permission.
+    // Rate limits are retried after the appropriate delay. Permission problems are not retried.
+    // Errors and the status codes of the retry policy (5** by default) are retried with backoff.
     // All others, do not retry as it won't help
-    if (response && response.statusCode === 403 && this.options.forbiddenDelay) {
-      response._forbiddenDelay = this.options.forbiddenDelay;
-      return true;
+    let delay = null;
+    const limit = RequestorAction._classifyLimit(response, this.options, this.clock.now());
+    if (limit) {
+      response._limit = limit;
+      delay = limit.delay;
+    } else if (err ? this._isRetryableError(err, retryState) : this._isRetryableStatus(response.statusCode, retryState)) {
+      delay = this.retryPolicy.nextDelay(retryState.retries, retryState.delay);
+    }
+    if (delay === null || this.retryPolicy.exceedsBudget(this.clock.now() - retryState.start, delay)) {
+      return false;
     }
-    if (err || response.statusCode >= 500)
+    if (!limit) {
+      retryState.delay = delay;
+    }
+    return true;
+  }
+
+  // Network errors are retried unless the request is not idempotent (e.g., POST or PATCH) and the body may
+  // have been sent. Errors connecting to the server are always safe to retry. Set the retryNonIdempotent
+  // option to retry all errors regardless.
+  _isRetryableError(err, retryState) {
+    if (retryState.idempotent || this.options.retryNonIdempotent) {
       return true;
+    }
+    return !!err.connect || ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(err.code);
+  }
 
-    return false;
+  // The status codes of the retry policy are only retried for requests that are idempotent as, for example, a 502
+  // may come after GitHub acted on the request. Set the retryNonIdempotent option to retry them regardless.
+  _isRetryableStatus(statusCode, retryState) {
+    return (retryState.idempotent || !!this.options.retryNonIdempotent) && this.retryPolicy.isRetryableStatus(statusCode);
   }
 
-  static _retryDelayStrategy(err, response, body) {
-    const forbiddenDelay = response ? response._forbiddenDelay : null;
-    const activity = this.activity.slice(-1)[0];
+  static _retryDelayStrategy(retryState, err, response, body) {
+    const limit = response ? response._limit : null;
+    const activity = retryState.activity;
+    const reason = limit ? limit.type : 'retry';
+    const delay = limit ? limit.delay : retryState.delay;
     activity.delays = activity.delays || [];
-    if (forbiddenDelay) {
-      activity.delays.push({ forbidden: forbiddenDelay });
-    } else {
-      activity.delays.push({ retry: this.options.retryDelay });
+    activity.delays.push({ [reason]: delay });
+    if (!limit) {
+      retryState.retries++;
+    }
+    const attempt = (response || err).attempts;
+    this._emit('retry', {method: retryState.method, target: retryState.target, attempt: attempt, reason: reason, delay: delay});
+    return delay;
+  }
+
+  // Work out what kind of limit, if any, a 403 or 429 response represents and how long to wait before retrying.
+  // Secondary limits say how long to wait in Retry-After, primary limits have no remaining requests and say when
+  // they reset. Secondary limits without Retry-After fall back to the forbiddenDelay. Anything else is a 403 due
+  // to permissions and has no delay as retrying will not help.
+  static _classifyLimit(response, options, now = Date.now()) {
+    if (!response || (response.statusCode !== 403 && response.statusCode !== 429)) {
+      return null;
+    }
+    const headers = response.headers || {};
+    const retryAfter = RequestorAction._parseRetryAfter(headers['retry-after'], now);
+    if (retryAfter !== null) {
+      return { type: 'secondaryRateLimit', delay: retryAfter };
+    }
+    if (headers['x-ratelimit-remaining'] !== undefined && parseInt(headers['x-ratelimit-remaining']) === 0) {
+      const reset = parseInt(headers['x-ratelimit-reset']) || 0;
+      return { type: 'primaryRateLimit', delay: Math.max(reset * 1000 - now, 1000) };
+    }
+    if (response.statusCode === 429) {
+      return { type: 'tooManyRequests', delay: options.forbiddenDelay || null };
+    }
+    if (RequestorAction._isSecondaryLimitMessage(response.body)) {
+      return { type: 'forbidden', delay: options.forbiddenDelay || null };
     }
-    return forbiddenDelay || this.options.retryDelay;
+    return { type: 'permission', delay: null };
+  }
+
+  // Retry-After is either a number of seconds or an HTTP date. Returns the delay in milliseconds or null.
+  static _parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(seconds * 1000, 0);
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(date - now, 0);
+  }
+
+  static _isSecondaryLimitMessage(body) {
+    const text = Buffer.isBuffer(body) ? body.toString() : body;
+    const message = text && typeof text === 'object' ? text.message : text;
+    return typeof message === 'string' && /secondary rate limit|abuse/i.test(message);
   }
 
   static _retryStrategyWrapper(target, log, cb) {
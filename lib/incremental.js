@@ -0,0 +1,117 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+// Endpoints that take a since query parameter. Most take a timestamp and return what was updated since then.
+// The lists of all users, repositories and organizations take the id to start after.
+const sinceTimestampPaths = [
+  /^\/repos\/[^/]+\/[^/]+\/(issues|issues\/comments|issues\/\d+\/comments|pulls\/comments|commits|notifications)$/,
+  /^\/(user\/|orgs\/[^/]+\/)?issues$/,
+  /^\/notifications$/,
+  /^\/gists(\/public|\/starred)?$/,
+  /^\/users\/[^/]+\/gists$/
+];
+const sinceIdPaths = [/^\/(users|repositories|organizations)$/];
+// Endpoints that list the newest items first and do not take since
+const newestFirstPaths = [/\/(events|received_events)(\/public)?$/];
+
+class Incremental {
+  /**
+   * Create the state of an incremental walk of the collection at the given URL. Only items newer than the
+   * high-water mark (a timestamp or an id) are kept. Where the endpoint supports it, since is added to the URL so
+   * GitHub only returns what changed. For endpoints that list the newest items first (e.g., events), the walk
+   * stops at the first item that is not newer than the mark. Other endpoints are fetched in full and filtered.
+   * @param {string} target The URL of the collection
+   * @param {object} [settings] The settings of the walk
+   * @param {string|Date|number} [settings.since] The high-water mark of the previous walk, if any. Numbers are ids.
+   * @param {string} [settings.field] The (dot separated) field of each item to compare with the mark. Defaults to
+   * updated_at (commit.committer.date for commits and created_at for events) for timestamps and id for ids.
+   */
+  constructor(target, settings = {}) {
+    const path = target.replace(/^https?:\/\/[^/]+/, '').replace(/^\/api\/v3/, '').split('?')[0];
+    const sinceId = sinceIdPaths.some(pattern => pattern.test(path));
+    const sinceTimestamp = sinceTimestampPaths.some(pattern => pattern.test(path));
+    const newestFirst = newestFirstPaths.some(pattern => pattern.test(path));
+    const given = settings.since === undefined || settings.since === null ? null : settings.since;
+    this.kind = given === null ? (sinceId || newestFirst ? 'id' : 'timestamp') : (typeof given === 'number' ? 'id' : 'timestamp');
+    this.field = settings.field || Incremental._defaultField(this.kind, path, newestFirst);
+    this.since = given === null ? null : this._value(given);
+    this.strategy = newestFirst ? 'newestFirst' : ((this.kind === 'id' ? sinceId : sinceTimestamp) ? 'since' : 'filter');
+    this.mark = this.since;
+  }
+
+  /**
+   * Get the URL to start the walk at. Adds since to the given URL if the endpoint supports it.
+   * @param {string} target The URL of the collection
+   * @returns {string} The URL to fetch first
+   */
+  target(target) {
+    if (this.strategy !== 'since' || this.since === null) {
+      return target;
+    }
+    const since = this.kind === 'id' ? this.since : new Date(this.since).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const separator = target.includes('?') ? '&' : '?';
+    return `${target}${separator}since=${encodeURIComponent(since)}`;
+  }
+
+  /**
+   * Take in the items of a page. Raises the high-water mark to the newest item seen.
+   * @param {array} items The items of the page
+   * @returns {object} The { items, done } of the page. Items are those newer than the mark. done is true if the
+   * walk should not go on to the next page.
+   */
+  accept(items) {
+    let done = false;
+    const newer = [];
+    for (let i = 0; i < items.length; i++) {
+      const value = this._value(this._field(items[i]));
+      // Items without the field are kept as there is no telling how old they are
+      if (this.since !== null && value <= this.since) {
+        if (this.strategy === 'newestFirst') {
+          done = true;
+          break;
+        }
+        continue;
+      }
+      newer.push(items[i]);
+      if (!isNaN(value) && (this.mark === null || value > this.mark)) {
+        this.mark = value;
+      }
+    }
+    return { items: newer, done: done };
+  }
+
+  /**
+   * The high-water mark to pass as since to the next walk. An id or an ISO 8601 timestamp. null if no items
+   * have been seen and no mark was given.
+   */
+  get highWaterMark() {
+    if (this.mark === null) {
+      return null;
+    }
+    return this.kind === 'id' ? this.mark : new Date(this.mark).toISOString();
+  }
+
+  // Events are never updated so only have created_at
+  static _defaultField(kind, path, newestFirst) {
+    if (kind === 'id') {
+      return 'id';
+    }
+    if (newestFirst) {
+      return 'created_at';
+    }
+    return /\/commits$/.test(path) ? 'commit.committer.date' : 'updated_at';
+  }
+
+  _field(item) {
+    return this.field.split('.').reduce((value, part) => value === undefined || value === null ? undefined : value[part], item);
+  }
+
+  _value(value) {
+    if (this.kind === 'id') {
+      return Number(value);
+    }
+    return value instanceof Date ? value.getTime() : Date.parse(value);
+  }
+}
+
+module.exports = Incremental;
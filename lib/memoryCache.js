@@ -0,0 +1,43 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+class MemoryCache {
+  /**
+   * Create an in-memory, least recently used cache of responses keyed by URL.
+   * @param {object} [options] Options for the cache. maxEntries is the number of URLs to retain (default 1000).
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get the cached entry for the given URL.
+   * @param {string} url The URL of the resource
+   * @returns {object} The cached { etag, body } entry or undefined if there is none.
+   */
+  get(url) {
+    const entry = this.entries.get(url);
+    if (entry) {
+      // re-insert to mark the entry as most recently used
+      this.entries.delete(url);
+      this.entries.set(url, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Cache the given entry for the given URL, evicting the least recently used entry if the cache is full.
+   * @param {string} url The URL of the resource
+   * @param {object} entry The { etag, body } entry to cache
+   */
+  set(url, entry) {
+    this.entries.delete(url);
+    this.entries.set(url, entry);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+module.exports = MemoryCache;
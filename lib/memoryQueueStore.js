@@ -0,0 +1,39 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+class MemoryQueueStore {
+  /**
+   * Create an in-memory store of queue items. Items do not survive the process. Use it for tests and short
+   * crawls, or as the model for other stores: any object with all(), put(item) and remove(id) methods (returning
+   * values or promises) can be used.
+   */
+  constructor() {
+    this.items = new Map();
+  }
+
+  /**
+   * Get all of the stored items.
+   * @returns {array} The items
+   */
+  all() {
+    return Array.from(this.items.values()).map(item => JSON.parse(JSON.stringify(item)));
+  }
+
+  /**
+   * Store the given item, replacing any item with the same id.
+   * @param {object} item The item to store
+   */
+  put(item) {
+    this.items.set(item.id, JSON.parse(JSON.stringify(item)));
+  }
+
+  /**
+   * Remove the item with the given id, if any.
+   * @param {string} id The id of the item
+   */
+  remove(id) {
+    this.items.delete(id);
+  }
+}
+
+module.exports = MemoryQueueStore;
@@ -0,0 +1,174 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const events = ['request', 'response', 'retry', 'throttle', 'page', 'error'];
+const defaultBuckets = [100, 1000, 10000, 60000, 300000, 900000, 3600000];
+
+class Metrics {
+  /**
+   * Create a collector of metrics about requestor activity. Attach it to request templates (or any emitter
+   * given as the emitter option) to count requests, attempts, retries, throttling, pages and errors, record
+   * histograms of the delays taken and track the 304 hit ratio and the remaining rate limit of each resource.
+   * @param {object} [options] Options for the metrics.
+   * @param {string} [options.prefix] Prefix of the metric names (default ghrequestor)
+   * @param {array} [options.buckets] Upper bounds, in milliseconds, of the delay histogram buckets
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || 'ghrequestor';
+    this.buckets = (options.buckets || defaultBuckets).slice().sort((a, b) => a - b);
+    this.metrics = new Map();
+    this._define('requests_total', 'counter', 'Requests made, not counting retries.');
+    this._define('attempts_total', 'counter', 'Attempts made, including retries.');
+    this._define('responses_total', 'counter', 'Responses received by status code.');
+    this._define('retries_total', 'counter', 'Retries by reason.');
+    this._define('throttles_total', 'counter', 'Times requests were held back to stay within the rate limit.');
+    this._define('pages_total', 'counter', 'Pages fetched.');
+    this._define('errors_total', 'counter', 'Operations that failed.');
+    this._define('delay_milliseconds', 'histogram', 'Time spent waiting before retrying or because of throttling.');
+    this._define('not_modified_ratio', 'gauge', 'Fraction of GET responses that were 304 Not Modified.');
+    this._define('rate_limit_remaining', 'gauge', 'Requests remaining in the rate limit by resource.');
+    this._gets = 0;
+    this._notModified = 0;
+  }
+
+  /**
+   * Listen to the events of the given emitter (e.g., a request template).
+   * @param {EventEmitter} emitter The emitter to listen to
+   * @returns {Metrics} This metrics object
+   */
+  attach(emitter) {
+    events.forEach(event => emitter.on(event, data => this.record(event, data)));
+    return this;
+  }
+
+  /**
+   * Update the metrics for the given requestor event.
+   * @param {string} event The name of the event (request, response, retry, throttle, page or error)
+   * @param {object} data The data of the event
+   */
+  record(event, data = {}) {
+    switch (event) {
+      case 'request':
+        this._increment('attempts_total', { method: data.method });
+        if (data.attempt === 1) {
+          this._increment('requests_total', { method: data.method });
+        }
+        break;
+      case 'response':
+        this._increment('responses_total', { method: data.method, status: String(data.statusCode) });
+        if (data.method === 'GET') {
+          this._gets++;
+          this._notModified += data.statusCode === 304 ? 1 : 0;
+          this._set('not_modified_ratio', {}, this._notModified / this._gets);
+        }
+        if (data.remaining !== undefined) {
+          this._set('rate_limit_remaining', { resource: data.resource }, data.remaining);
+        }
+        break;
+      case 'retry':
+        this._increment('retries_total', { reason: data.reason });
+        this._observe('delay_milliseconds', { kind: 'retry' }, data.delay);
+        break;
+      case 'throttle':
+        this._increment('throttles_total', { reason: data.reason });
+        if (typeof data.delay === 'number') {
+          this._observe('delay_milliseconds', { kind: 'throttle' }, data.delay);
+        }
+        break;
+      case 'page':
+        this._increment('pages_total', {});
+        break;
+      case 'error':
+        this._increment('errors_total', {});
+        break;
+    }
+  }
+
+  /**
+   * Get the current value of the given metric.
+   * @param {string} name The name of the metric, without the prefix
+   * @param {object} [labels] The labels of the series to get
+   * @returns {number|object} The value of a counter or gauge, the { buckets, sum, count } of a histogram or
+   * undefined if there is no such series.
+   */
+  get(name, labels = {}) {
+    const series = this.metrics.get(name).series.get(Metrics._labelKey(labels));
+    return series ? series.value : undefined;
+  }
+
+  /**
+   * Render the metrics in the Prometheus text exposition format.
+   * @returns {string} The metrics
+   */
+  toPrometheus() {
+    const lines = [];
+    this.metrics.forEach((metric, name) => {
+      const fullName = `${this.prefix}_${name}`;
+      lines.push(`# HELP ${fullName} ${metric.help}`);
+      lines.push(`# TYPE ${fullName} ${metric.type}`);
+      metric.series.forEach(series => {
+        if (metric.type !== 'histogram') {
+          return lines.push(`${fullName}${Metrics._formatLabels(series.labels)} ${series.value}`);
+        }
+        const value = series.value;
+        this.buckets.forEach((bound, index) => {
+          const labels = Object.assign({}, series.labels, { le: String(bound) });
+          lines.push(`${fullName}_bucket${Metrics._formatLabels(labels)} ${value.buckets[index]}`);
+        });
+        const infinity = Object.assign({}, series.labels, { le: '+Inf' });
+        lines.push(`${fullName}_bucket${Metrics._formatLabels(infinity)} ${value.count}`);
+        lines.push(`${fullName}_sum${Metrics._formatLabels(series.labels)} ${value.sum}`);
+        lines.push(`${fullName}_count${Metrics._formatLabels(series.labels)} ${value.count}`);
+      });
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  _define(name, type, help) {
+    this.metrics.set(name, { type: type, help: help, series: new Map() });
+  }
+
+  _series(name, labels, initial) {
+    const series = this.metrics.get(name).series;
+    const key = Metrics._labelKey(labels);
+    if (!series.has(key)) {
+      series.set(key, { labels: labels, value: initial() });
+    }
+    return series.get(key);
+  }
+
+  _increment(name, labels) {
+    this._series(name, labels, () => 0).value++;
+  }
+
+  _set(name, labels, value) {
+    this._series(name, labels, () => 0).value = value;
+  }
+
+  _observe(name, labels, value) {
+    const series = this._series(name, labels, () => ({ buckets: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    // Buckets are cumulative so a value counts toward every bucket whose bound it is within
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.value.buckets[index]++;
+      }
+    });
+    series.value.sum += value;
+    series.value.count++;
+  }
+
+  static _labelKey(labels) {
+    return Object.keys(labels).sort().map(name => `${name}=${labels[name]}`).join(',');
+  }
+
+  static _formatLabels(labels) {
+    const names = Object.keys(labels).filter(name => labels[name] !== undefined);
+    if (!names.length) {
+      return '';
+    }
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${names.map(name => `${name}="${escape(labels[name])}"`).join(',')}}`;
+  }
+}
+
+module.exports = Metrics;
@@ -0,0 +1,191 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const crypto = require('crypto');
+const Q = require('q');
+const MemoryQueueStore = require('./memoryQueueStore');
+
+class Queue {
+  /**
+   * Create a durable queue of URLs to fetch. Items are kept in the given store so a crawl can pick up where it
+   * left off after a restart. Items popped but not yet acked or nacked when the process stopped are queued again.
+   * Higher priority items are popped first and items of the same priority in the order they were queued. Items
+   * that fail maxFailures times are moved to the dead-letter list.
+   * @param {object} [store] The store of the items (default a new MemoryQueueStore)
+   * @param {object} [options] Options for the queue.
+   * @param {number} [options.maxFailures] The number of times an item can be nacked before it is dead (default 3)
+   */
+  constructor(store = new MemoryQueueStore(), options = {}) {
+    this.store = store;
+    this.maxFailures = options.maxFailures || 3;
+    this.queued = [];
+    this.leased = new Map();
+    this.dead = [];
+    this._sequence = 0;
+    this._opened = null;
+  }
+
+  /**
+   * Load the items from the store. Called by the other methods so there is normally no need to call it.
+   * @returns {promise} A promise that is resolved when the queue is ready.
+   */
+  open() {
+    this._opened = this._opened || Q(this.store.all()).then(items => {
+      items.forEach(item => {
+        this._sequence = Math.max(this._sequence, item.sequence);
+        if (item.state === 'dead') {
+          this.dead.push(item);
+        } else {
+          item.state = 'queued';
+          this._insert(item);
+        }
+      });
+      this.dead.sort((one, other) => one.sequence - other.sequence);
+    });
+    return this._opened;
+  }
+
+  /**
+   * The number of items waiting to be popped.
+   */
+  get size() {
+    return this.queued.length;
+  }
+
+  /**
+   * Add the given URL to the queue.
+   * @param {string} url The URL to fetch
+   * @param {object} [options] Options for the item.
+   * @param {number} [options.priority] The priority of the item. Higher priorities are popped first (default 0).
+   * @param {object} [options.metadata] Data to keep with the item (e.g., what to do with the result)
+   * @returns {promise} A promise for the queued { id, url, priority, metadata, attempts, failures } item.
+   */
+  enqueue(url, options = {}) {
+    return this.open().then(() => {
+      const item = {
+        id: crypto.randomBytes(8).toString('hex'),
+        url: url,
+        priority: options.priority || 0,
+        metadata: options.metadata || {},
+        sequence: ++this._sequence,
+        state: 'queued',
+        attempts: 0,
+        failures: 0,
+        error: null
+      };
+      return Q(this.store.put(item)).then(() => {
+        this._insert(item);
+        return item;
+      });
+    });
+  }
+
+  /**
+   * Take the next item from the queue. The item stays in the store until it is acked or nacked.
+   * @returns {promise} A promise for the item or null if the queue is empty.
+   */
+  pop() {
+    return this.open().then(() => {
+      const item = this.queued.shift() || null;
+      if (item) {
+        item.state = 'leased';
+        this.leased.set(item.id, item);
+      }
+      return item;
+    });
+  }
+
+  /**
+   * Record that the given item was processed and remove it from the queue.
+   * @param {object} item The item popped from the queue
+   * @param {number} [attempts] The number of requests made for it (e.g., from the activity of the fetch)
+   * @returns {promise} A promise that is resolved when the item has been removed.
+   */
+  ack(item, attempts = 0) {
+    if (!this.leased.delete(item.id)) {
+      return Q.reject(Queue._notLeased(item));
+    }
+    item.attempts += attempts;
+    item.state = 'done';
+    return Q(this.store.remove(item.id)).then(() => item);
+  }
+
+  /**
+   * Record that the given item could not be processed. It is queued again unless it has now failed maxFailures
+   * times, in which case it is moved to the dead-letter list.
+   * @param {object} item The item popped from the queue
+   * @param {number} [attempts] The number of requests made for it (e.g., from the activity of the fetch)
+   * @param {Error} [error] What went wrong
+   * @returns {promise} A promise for the item. Its state is queued or dead.
+   */
+  nack(item, attempts = 0, error = null) {
+    if (!this.leased.delete(item.id)) {
+      return Q.reject(Queue._notLeased(item));
+    }
+    item.attempts += attempts;
+    item.failures++;
+    item.error = error ? error.message || String(error) : null;
+    item.state = item.failures >= this.maxFailures ? 'dead' : 'queued';
+    // Failed items go to the back of their priority
+    item.sequence = ++this._sequence;
+    return Q(this.store.put(item)).then(() => {
+      if (item.state === 'dead') {
+        this.dead.push(item);
+      } else {
+        this._insert(item);
+      }
+      return item;
+    });
+  }
+
+  /**
+   * Get the items that failed too many times.
+   * @returns {promise} A promise for the dead items
+   */
+  deadLetters() {
+    return this.open().then(() => this.dead.slice());
+  }
+
+  /**
+   * Queue the given dead item again with its failures reset.
+   * @param {object} item The dead item
+   * @returns {promise} A promise for the item.
+   */
+  revive(item) {
+    const index = this.dead.findIndex(dead => dead.id === item.id);
+    if (index === -1) {
+      return Q.reject(new Error(`Item ${item.id} is not dead`));
+    }
+    const revived = this.dead[index];
+    revived.state = 'queued';
+    revived.failures = 0;
+    revived.sequence = ++this._sequence;
+    return Q(this.store.put(revived)).then(() => {
+      this.dead.splice(this.dead.indexOf(revived), 1);
+      this._insert(revived);
+      return revived;
+    });
+  }
+
+  static _notLeased(item) {
+    return new Error(`Item ${item.id} was not popped from the queue`);
+  }
+
+  // Keep the queued items in priority order, highest first, then in the order they were queued
+  _insert(item) {
+    const before = other => other.priority < item.priority || (other.priority === item.priority && other.sequence > item.sequence);
+    let low = 0;
+    let high = this.queued.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (before(this.queued[middle])) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    this.queued.splice(low, 0, item);
+  }
+}
+
+module.exports = Queue;
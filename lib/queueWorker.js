@@ -0,0 +1,110 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const Q = require('q');
+
+class QueueWorker {
+  /**
+   * Create a worker that fetches the items of the given queue with the given requestor (e.g., a request template)
+   * so the fetches share its retry, throttling and caching. Each item's URL is fetched with getAll, or get if the
+   * item's metadata has method 'get', and the result handed to the handler. Items are acked if that succeeds and
+   * nacked otherwise (including get responses with a status code of 400 or more), either way with the number of
+   * requests made from the activity of the fetch.
+   * @param {Queue} queue The queue to work on
+   * @param {object} requestor The requestor to fetch with
+   * @param {object} [options] Options for the worker.
+   * @param {function} [options.handler] Called with the result and the item. May return a promise, for example
+   * of queueing more URLs. An error or rejection nacks the item.
+   * @param {number} [options.concurrency] The max number of items to work on at once (default 1)
+   */
+  constructor(queue, requestor, options = {}) {
+    this.queue = queue;
+    this.requestor = requestor;
+    this.handler = options.handler || (() => null);
+    this.concurrency = options.concurrency || 1;
+    this.stopped = false;
+    this._active = 0;
+    this._idle = null;
+  }
+
+  /**
+   * Work on the queue until it is empty and no item is being worked on, or until stopped.
+   * @returns {promise} A promise for the { acked, nacked } counts of the run.
+   */
+  run() {
+    this.stopped = false;
+    const counts = { acked: 0, nacked: 0 };
+    const loops = [];
+    for (let i = 0; i < this.concurrency; i++) {
+      loops.push(this._loop(counts));
+    }
+    return Q.all(loops).then(() => counts);
+  }
+
+  /**
+   * Stop taking items from the queue. Items being worked on are finished.
+   */
+  stop() {
+    this.stopped = true;
+    this._wake();
+  }
+
+  /**
+   * Fetch the given item and ack or nack it.
+   * @param {object} item The item popped from the queue
+   * @returns {promise} A promise for the item once acked or nacked.
+   */
+  process(item) {
+    // Have get reject failed responses like getAll does so they are nacked rather than handled
+    const fetch = item.metadata.method === 'get'
+      ? this.requestor.get(item.url, { throwOnHttpError: true })
+      : this.requestor.getAll(item.url);
+    return Q(fetch).then(result => {
+      return Q(this.handler(result, item)).then(() => this.queue.ack(item, QueueWorker._attempts(result)));
+    }, err => this.queue.nack(item, QueueWorker._attempts(err), err)).catch(err => {
+      // The fetch worked but the handler did not. Nack may itself fail if the store is broken.
+      return item.state === 'leased' ? this.queue.nack(item, 0, err) : Q.reject(err);
+    });
+  }
+
+  _loop(counts) {
+    if (this.stopped) {
+      return Q();
+    }
+    return this.queue.pop().then(item => {
+      if (!item) {
+        // Another item being worked on may yet queue more
+        return this._active ? this._whenIdle().then(() => this._loop(counts)) : null;
+      }
+      this._active++;
+      return this.process(item).finally(() => {
+        this._active--;
+        this._wake();
+      }).then(item => {
+        counts[item.state === 'done' ? 'acked' : 'nacked']++;
+        return this._loop(counts);
+      });
+    });
+  }
+
+  _whenIdle() {
+    this._idle = this._idle || Q.defer();
+    return this._idle.promise;
+  }
+
+  _wake() {
+    const idle = this._idle;
+    this._idle = null;
+    if (idle) {
+      idle.resolve();
+    }
+  }
+
+  // Get the number of requests made from the activity of the given result or error
+  static _attempts(outcome) {
+    const activity = outcome && outcome.activity ? outcome.activity : [];
+    return activity.reduce((total, entry) => total + (entry && entry.attempts ? entry.attempts : 0), 0);
+  }
+}
+
+module.exports = QueueWorker;
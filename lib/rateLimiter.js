@@ -0,0 +1,119 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const systemClock = require('./clock').systemClock;
+
+class RateLimiter {
+  /**
+   * Create a rate limiter to share across requestors. The limiter tracks the remaining requests and reset time
+   * of each token and resource bucket (core, search, graphql) and gates requests so that the requests in flight
+   * never take a bucket below its lower bound. Requests that would are queued, in order, until the bucket resets.
+   * @param {object} [options] Options for the limiter.
+   * @param {object} [options.lowerBounds] Lower bound by bucket. Defaults to core 500, search 2 and graphql 500.
+   * @param {object} [options.clock] The clock ({ now, setTimeout, clearTimeout }) to wait for resets on
+   */
+  constructor(options = {}) {
+    this.lowerBounds = Object.assign({ core: 500, search: 2, graphql: 500 }, options.lowerBounds);
+    this.clock = options.clock || systemClock;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Get the rate limit resource bucket used by the given URL.
+   * @param {string} target The URL being requested
+   * @returns {string} One of core, search or graphql
+   */
+  static resourceFor(target) {
+    const path = target.replace(/^https?:\/\/[^/]+/, '').split('?')[0];
+    if (/\/graphql$/.test(path)) {
+      return 'graphql';
+    }
+    return /^(\/api\/v3)?\/search\//.test(path) ? 'search' : 'core';
+  }
+
+  /**
+   * Get the key of the bucket that a request with the given authorization to the given URL draws from.
+   * @param {string} authorization The authorization header of the request, if any
+   * @param {string} target The URL being requested
+   * @returns {string} The bucket key
+   */
+  keyFor(authorization, target) {
+    const resource = RateLimiter.resourceFor(target);
+    const key = `${resource} ${authorization || 'anonymous'}`;
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, { resource: resource, remaining: null, reset: 0, inFlight: 0, queue: [], timer: null });
+    }
+    return key;
+  }
+
+  /**
+   * Wait for the given bucket to have room for another request. The callback is called (possibly immediately)
+   * once the request may go ahead. Each acquire must be matched by a release.
+   * @param {string} key The bucket key from keyFor
+   * @param {function} callback Function to call when the request may be sent
+   * @returns {object} A ticket whose cancel() removes the request from the queue if it is still waiting.
+   */
+  acquire(key, callback) {
+    const bucket = this.buckets.get(key);
+    const waiter = { callback: callback };
+    bucket.queue.push(waiter);
+    this._drain(bucket);
+    return {
+      cancel: () => {
+        const index = bucket.queue.indexOf(waiter);
+        if (index >= 0) {
+          bucket.queue.splice(index, 1);
+          this._drain(bucket);
+        }
+      }
+    };
+  }
+
+  /**
+   * Record the completion of a request and the rate limit state, if any, reported by its response.
+   * @param {string} key The bucket key from keyFor
+   * @param {object} [state] The { remaining, reset } reported by the response. reset is in epoch seconds.
+   */
+  release(key, state = null) {
+    const bucket = this.buckets.get(key);
+    bucket.inFlight = Math.max(bucket.inFlight - 1, 0);
+    if (state) {
+      bucket.remaining = state.remaining;
+      bucket.reset = state.reset;
+    }
+    this._drain(bucket);
+  }
+
+  _drain(bucket) {
+    while (bucket.queue.length && this._hasCapacity(bucket)) {
+      bucket.inFlight++;
+      bucket.queue.shift().callback();
+    }
+    if (!bucket.queue.length && bucket.timer) {
+      // Nothing is waiting (e.g., the waiters were cancelled) so do not keep the process alive until the reset
+      this.clock.clearTimeout(bucket.timer);
+      bucket.timer = null;
+    }
+    if (!bucket.queue.length || bucket.timer) {
+      return;
+    }
+    // Out of capacity with requests waiting. Try again when the bucket resets.
+    bucket.timer = this.clock.setTimeout(() => {
+      bucket.timer = null;
+      this._drain(bucket);
+    }, Math.max(bucket.reset * 1000 - this.clock.now(), 1000));
+  }
+
+  _hasCapacity(bucket) {
+    if (bucket.remaining === null) {
+      return true;
+    }
+    if (bucket.reset * 1000 <= this.clock.now()) {
+      bucket.remaining = null;
+      return true;
+    }
+    return bucket.remaining - bucket.inFlight > this.lowerBounds[bucket.resource];
+  }
+}
+
+module.exports = RateLimiter;
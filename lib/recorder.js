@@ -0,0 +1,121 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const fs = require('fs');
+const Q = require('q');
+const request = require('requestretry');
+const TokenPool = require('./tokenPool');
+const clock = require('./clock');
+
+const modes = ['record', 'replay'];
+
+class Recorder {
+  /**
+   * Create a recorder of HTTP exchanges. In record mode each request attempt is sent as usual and the request and
+   * its response (or error) are captured, with the authorization header redacted, ready to be saved as a JSON
+   * fixture. In replay mode the requests are served, in the order they were recorded, from a fixture and all
+   * waits (throttling, retries, timeouts) happen on a virtual clock that starts at the time of the recording.
+   * @param {object} options The settings for the recorder.
+   * @param {string} options.mode Either record or replay
+   * @param {string} [options.file] The fixture file to save to or replay from
+   * @param {object} [options.fixture] A fixture ({ entries }) to replay instead of reading one from file
+   */
+  constructor(options = {}) {
+    if (!modes.includes(options.mode)) {
+      throw new Error(`Unknown recorder mode: ${options.mode}`);
+    }
+    this.mode = options.mode;
+    this.file = options.file || null;
+    this.entries = [];
+    if (this.mode === 'record') {
+      this.clock = clock.systemClock;
+      return;
+    }
+    const fixture = options.fixture || JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.entries = fixture.entries || [];
+    // The requests served so far, described as they would have been recorded
+    this.replayed = [];
+    this._unplayed = this.entries.slice();
+    this.clock = new clock.VirtualClock(this.entries.length ? this.entries[0].time : Date.now());
+  }
+
+  /**
+   * Send the given request (options as for request). Used by the requestor for each attempt at a request.
+   * @param {object} options The request options
+   * @param {function} callback Function called with (err, response, body) when the attempt completes
+   * @returns {object} The in-flight request. Its abort() stops the attempt.
+   */
+  send(options, callback) {
+    return this.mode === 'record' ? this._record(options, callback) : this._replay(options, callback);
+  }
+
+  /**
+   * Write the recorded entries to the fixture file.
+   * @returns {promise} A promise that is resolved when the fixture has been written.
+   */
+  save() {
+    const fixture = { entries: this.entries };
+    return Q.nfcall(fs.writeFile, this.file, JSON.stringify(fixture, null, 2));
+  }
+
+  _record(options, callback) {
+    const self = this;
+    const entry = { request: Recorder._describeRequest(options) };
+    return request.Request.request(options, (err, response, body) => {
+      entry.time = self.clock.now();
+      if (err) {
+        entry.error = { message: err.message || String(err), code: err.code };
+      } else {
+        entry.response = {
+          statusCode: response.statusCode,
+          statusMessage: response.statusMessage,
+          headers: response.headers,
+          body: body
+        };
+      }
+      self.entries.push(entry);
+      callback(err, response, body);
+    });
+  }
+
+  _replay(options, callback) {
+    const method = (options.method || 'GET').toUpperCase();
+    const index = this._unplayed.findIndex(entry => entry.request.method === method && entry.request.url === options.url);
+    const entry = index < 0 ? null : this._unplayed.splice(index, 1)[0];
+    this.replayed.push(Recorder._describeRequest(options));
+    // Deliver the response at the time it was recorded (or now, if that has passed) so rate limit resets and
+    // Retry-After dates are seen the way they were when recording.
+    const delay = entry ? Math.max(entry.time - this.clock.now(), 0) : 0;
+    const timer = this.clock.setTimeout(() => {
+      if (!entry) {
+        const err = new Error(`No recorded response for ${method} ${options.url}`);
+        err.code = 'ENORECORDING';
+        return callback(err);
+      }
+      if (entry.error) {
+        const err = new Error(entry.error.message);
+        err.code = entry.error.code;
+        return callback(err);
+      }
+      // Copy the response so changes made while processing it do not leak into later replays
+      const response = JSON.parse(JSON.stringify(entry.response));
+      callback(null, response, response.body);
+    }, delay);
+    return { abort: () => this.clock.clearTimeout(timer) };
+  }
+
+  static _describeRequest(options) {
+    const headers = Object.assign({}, options.headers);
+    Object.keys(headers).filter(name => name.toLowerCase() === 'authorization').forEach(name => {
+      const parts = String(headers[name]).split(' ');
+      headers[name] = parts.length > 1 ? `${parts[0]} ${TokenPool.redact(parts[1])}` : TokenPool.redact(parts[0]);
+    });
+    const description = { method: (options.method || 'GET').toUpperCase(), url: options.url, headers: headers };
+    if (options.body !== undefined) {
+      description.body = options.body;
+    }
+    return description;
+  }
+}
+
+module.exports = Recorder;
@@ -0,0 +1,95 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const jitterModes = ['none', 'full', 'equal', 'decorrelated'];
+
+class RetryPolicy {
+  /**
+   * Create a policy describing which failures to retry and how long to wait between attempts.
+   * The delay before retry N (zero based) is baseDelay * multiplier^N, capped at maxDelay, and then
+   * adjusted according to the jitter mode:
+   *   none -- use the computed delay as is
+   *   full -- a random delay between 0 and the computed delay
+   *   equal -- half the computed delay plus a random delay up to the other half
+   *   decorrelated -- a random delay between baseDelay and three times the previous delay, capped at maxDelay
+   *
+   * @param {object} [options] The settings for the policy.
+   * @param {number} [options.maxAttempts] Total number of attempts to make (default 5)
+   * @param {number} [options.baseDelay] Delay in milliseconds before the first retry (default 500)
+   * @param {number} [options.multiplier] Factor by which the delay grows with each retry (default 1)
+   * @param {number} [options.maxDelay] Upper bound on any one delay in milliseconds (default none)
+   * @param {string} [options.jitter] One of none, full, equal or decorrelated (default none)
+   * @param {array} [options.retryStatusCodes] Status codes to retry (default all 5xx)
+   * @param {number} [options.maxRetryTime] Total time in milliseconds to spend retrying one request (default none)
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || 5;
+    this.baseDelay = options.baseDelay === undefined ? 500 : options.baseDelay;
+    this.multiplier = options.multiplier || 1;
+    this.maxDelay = options.maxDelay || Number.MAX_SAFE_INTEGER;
+    this.jitter = options.jitter || 'none';
+    this.retryStatusCodes = options.retryStatusCodes || null;
+    this.maxRetryTime = options.maxRetryTime || null;
+    if (!jitterModes.includes(this.jitter)) {
+      throw new Error(`Unknown jitter mode: ${this.jitter}`);
+    }
+  }
+
+  /**
+   * Get the retry policy described by the given requestor options. The retryPolicy option may be a RetryPolicy
+   * or the settings for one. Settings not given default to the maxAttempts and retryDelay options so a constant
+   * delay is used unless told otherwise.
+   * @param {object} options The requestor options
+   * @returns {RetryPolicy} The policy to use
+   */
+  static fromOptions(options) {
+    const given = options.retryPolicy;
+    if (given instanceof RetryPolicy) {
+      return given;
+    }
+    const settings = Object.assign({ maxAttempts: options.maxAttempts, baseDelay: options.retryDelay }, given);
+    return new RetryPolicy(settings);
+  }
+
+  /**
+   * Determine whether or not a response with the given status code should be retried.
+   * @param {number} statusCode The status code of the response
+   * @returns {boolean} true if the response should be retried
+   */
+  isRetryableStatus(statusCode) {
+    return this.retryStatusCodes ? this.retryStatusCodes.includes(statusCode) : statusCode >= 500;
+  }
+
+  /**
+   * Compute the delay before the next retry.
+   * @param {number} retries The number of retries already made
+   * @param {number} [previousDelay] The previous delay, if any. Used for decorrelated jitter.
+   * @returns {number} The delay in milliseconds
+   */
+  nextDelay(retries, previousDelay = null) {
+    if (this.jitter === 'decorrelated') {
+      const upper = Math.max(previousDelay === null ? this.baseDelay : previousDelay * 3, this.baseDelay);
+      return Math.round(Math.min(this.maxDelay, this.baseDelay + Math.random() * (upper - this.baseDelay)));
+    }
+    const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(this.multiplier, retries));
+    if (this.jitter === 'full') {
+      return Math.round(Math.random() * delay);
+    }
+    if (this.jitter === 'equal') {
+      return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+    return delay;
+  }
+
+  /**
+   * Determine whether or not waiting the given delay would go past the total retry time budget.
+   * @param {number} elapsed The time in milliseconds already spent on the request
+   * @param {number} delay The delay about to be taken
+   * @returns {boolean} true if the budget would be exceeded
+   */
+  exceedsBudget(elapsed, delay) {
+    return !!this.maxRetryTime && elapsed + delay > this.maxRetryTime;
+  }
+}
+
+module.exports = RetryPolicy;
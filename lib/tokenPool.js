@@ -0,0 +1,100 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const systemClock = require('./clock').systemClock;
+
+class TokenPool {
+  /**
+   * Create a pool of GitHub tokens whose rate limit state is tracked from the response headers
+   * of the requests made with them.
+   * @param {array} tokens The set of token strings to include in the pool.
+   * @param {object} [clock] The clock used to tell when tokens reset (default the system clock)
+   */
+  constructor(tokens = [], clock = systemClock) {
+    this.clock = clock;
+    this.entries = tokens.map(token => {
+      return { token: token, remaining: null, reset: 0 };
+    });
+  }
+
+  /**
+   * Produce a form of the given token suitable for logging and activity records.
+   * @param {string} token The token to redact
+   * @returns {string} The redacted token
+   */
+  static redact(token) {
+    if (!token) {
+      return token;
+    }
+    return token.length > 8 ? `***${token.slice(-4)}` : '***';
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Get the token with the most headroom. Tokens whose reset time has passed or that have never been used
+   * are considered to be at full capacity.
+   * @returns {string} The token to use for the next request or null if the pool is empty.
+   */
+  pick() {
+    const now = this.clock.now();
+    let best = null;
+    let bestRemaining = -1;
+    this.entries.forEach(entry => {
+      const remaining = this._effectiveRemaining(entry, now);
+      if (remaining > bestRemaining) {
+        best = entry;
+        bestRemaining = remaining;
+      }
+    });
+    return best ? best.token : null;
+  }
+
+  /**
+   * Record the rate limit state of the given token as reported in a response's headers.
+   * @param {string} token The token used for the request
+   * @param {object} headers The headers of the response
+   */
+  update(token, headers) {
+    const entry = this._find(token);
+    if (!entry || !headers || headers['x-ratelimit-remaining'] === undefined) {
+      return;
+    }
+    entry.remaining = parseInt(headers['x-ratelimit-remaining']) || 0;
+    entry.reset = parseInt(headers['x-ratelimit-reset']) || 0;
+  }
+
+  /**
+   * Determine whether or not every token in the pool is below the given lower bound.
+   * @param {number} lowerBound The number of remaining requests below which a token is exhausted
+   * @returns {boolean} true if no token in the pool has headroom
+   */
+  isExhausted(lowerBound) {
+    const now = this.clock.now();
+    return this.entries.every(entry => this._effectiveRemaining(entry, now) < lowerBound);
+  }
+
+  /**
+   * Get the earliest reset time (in epoch seconds) across all tokens in the pool.
+   * @returns {number} The next reset time or 0 if none is known.
+   */
+  nextReset() {
+    const resets = this.entries.map(entry => entry.reset).filter(reset => reset);
+    return resets.length ? Math.min.apply(null, resets) : 0;
+  }
+
+  _find(token) {
+    return this.entries.find(entry => entry.token === token);
+  }
+
+  _effectiveRemaining(entry, now) {
+    if (entry.remaining === null || entry.reset * 1000 <= now) {
+      return Number.MAX_SAFE_INTEGER;
+    }
+    return entry.remaining;
+  }
+}
+
+module.exports = TokenPool;
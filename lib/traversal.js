@@ -0,0 +1,120 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const Q = require('q');
+const qlimit = require('qlimit');
+const Readable = require('stream').Readable;
+
+class Traversal {
+  /**
+   * Create a traversal of the graph of GitHub resources reachable from a root resource by following the *_url
+   * fields of their bodies. The rules say which fields to follow. They are a tree of objects whose keys are the
+   * fields to follow on the current entity and whose values are the rules for the entities found there (true or
+   * {} to stop there). For example, { issues_url: { comments_url: true } } gets the issues of a repo and the
+   * comments of each issue. Each URL is fetched (with getAll so collections are paged) only once.
+   * @param {object} requestor The requestor (e.g., a request template) to fetch with. Only getAll is used.
+   * @param {object} rules The rules saying which fields to follow
+   * @param {object} [options] Options for the traversal.
+   * @param {number} [options.concurrency] The max number of URLs to fetch at once (default 1)
+   */
+  constructor(requestor, rules, options = {}) {
+    this.requestor = requestor;
+    this.rules = rules || {};
+    this.concurrency = options.concurrency || 1;
+    this.visited = new Set();
+    this._pending = 0;
+    this._stopped = false;
+    this._demand = null;
+  }
+
+  /**
+   * Get a Node object mode Readable stream of the { entity, url, field, parent } of each entity reached from the
+   * root. url is the URL the entity was fetched from, field the field followed to get there and parent the URL of
+   * the entity that had that field (its url field if it has one). field and parent are null for the root. The
+   * stream fails if any fetch fails or does not get a 200 or 304. Fetching stops while the stream is not being
+   * read and no more fetches are started once it is destroyed.
+   * @param {string} rootUrl The URL of the resource to start from
+   * @returns {Readable} A stream of the entities
+   */
+  traverse(rootUrl) {
+    const self = this;
+    this._fetch = qlimit(this.concurrency)(url => this._whenRead().then(() => self._stopped ? [] : self.requestor.getAll(url)));
+    this.stream = new Readable({
+      objectMode: true,
+      read() {
+        const demand = self._demand;
+        self._demand = null;
+        if (demand) {
+          demand.resolve();
+        }
+      },
+      destroy(err, callback) {
+        self._stopped = true;
+        callback(err);
+      }
+    });
+    this._visit(rootUrl, this.rules, null, null);
+    return this.stream;
+  }
+
+  /**
+   * Get the URL to fetch for the given *_url field value. URI templates (e.g., {/number}) are removed.
+   * @param {string} url The value of a *_url field
+   * @returns {string} The URL without templates
+   */
+  static stripTemplate(url) {
+    return url.replace(/\{[^}]*\}/g, '');
+  }
+
+  _visit(url, rules, parent, field) {
+    const self = this;
+    const target = Traversal.stripTemplate(url);
+    if (this._stopped || this.visited.has(target)) {
+      return;
+    }
+    this.visited.add(target);
+    this._pending++;
+    this._fetch(target).then(entities => {
+      entities.forEach(entity => {
+        if (self._stopped) {
+          return;
+        }
+        if (!self.stream.push({ entity: entity, url: target, field: field, parent: parent })) {
+          self._demand = self._demand || Q.defer();
+        }
+        self._follow(entity, target, rules);
+      });
+    }).catch(err => {
+      if (!self._stopped) {
+        self._stopped = true;
+        err.url = err.url || target;
+        self.stream.destroy(err);
+      }
+    }).finally(() => {
+      if (--self._pending === 0 && !self._stopped) {
+        self.stream.push(null);
+      }
+    }).done();
+  }
+
+  _follow(entity, source, rules) {
+    if (!entity || typeof entity !== 'object') {
+      return;
+    }
+    const link = typeof entity.url === 'string' ? entity.url : source;
+    Object.keys(rules).forEach(field => {
+      const url = entity[field];
+      if (typeof url === 'string' && url) {
+        const next = rules[field];
+        this._visit(url, next && typeof next === 'object' ? next : {}, link, field);
+      }
+    });
+  }
+
+  // Wait until the stream wants more entities
+  _whenRead() {
+    return this._demand ? this._demand.promise : Q();
+  }
+}
+
+module.exports = Traversal;
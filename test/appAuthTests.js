@@ -0,0 +1,153 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const AppAuth = require('../lib/appAuth.js');
+const assert = require('chai').assert;
+const crypto = require('crypto');
+const expect = require('chai').expect;
+const FakeClock = require('../lib/clock.js').FakeClock;
+const initializeRequestHook = require('./helpers/requestHook.js').initializeRequestHook;
+
+const keys = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+describe('App authentication', () => {
+  it('should require app id, private key and installation id', () => {
+    expect(() => new AppAuth({ appId: 1, privateKey: keys.privateKey })).to.throw(/installationId/);
+  });
+
+  it('should sign a JWT for the app', () => {
+    const auth = new AppAuth({ appId: 42, privateKey: keys.privateKey, installationId: 7 });
+    const parts = auth.createJwt().split('.');
+    expect(parts.length).to.equal(3);
+    const header = JSON.parse(Buffer.from(parts[0], 'base64').toString());
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64').toString());
+    expect(header).to.deep.equal({ alg: 'RS256', typ: 'JWT' });
+    expect(payload.iss).to.equal('42');
+    expect(payload.exp - payload.iat).to.be.at.most(600);
+    const signature = Buffer.from(parts[2].replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+    const verified = crypto.createVerify('RSA-SHA256').update(`${parts[0]}.${parts[1]}`).verify(keys.publicKey, signature);
+    expect(verified).to.be.true;
+  });
+
+  it('should mint and cache installation tokens', () => {
+    const requests = [];
+    initializeRequestHook([createTokenResponse('token1', 60)], requests);
+    const auth = new AppAuth({ appId: 42, privateKey: keys.privateKey, installationId: 7 });
+    return auth.getToken().then(token => {
+      expect(token).to.equal('token1');
+      expect(requests.length).to.equal(1);
+      expect(requests[0].method).to.equal('POST');
+      expect(requests[0].url).to.equal('https://api.github.com/app/installations/7/access_tokens');
+      expect(requests[0].headers.authorization).to.match(/^Bearer /);
+      return auth.getToken();
+    }).then(token => {
+      expect(token).to.equal('token1');
+      expect(requests.length).to.equal(1);
+    });
+  });
+
+  it('should share one mint between concurrent callers', () => {
+    const requests = [];
+    initializeRequestHook([createTokenResponse('token1', 60)], requests);
+    const auth = new AppAuth({ appId: 42, privateKey: keys.privateKey, installationId: 7 });
+    return Promise.all([auth.getToken(), auth.getToken()]).then(tokens => {
+      expect(tokens).to.deep.equal(['token1', 'token1']);
+      expect(requests.length).to.equal(1);
+    });
+  });
+
+  it('should refresh tokens that are about to expire', () => {
+    const requests = [];
+    initializeRequestHook([createTokenResponse('token1', 2), createTokenResponse('token2', 60)], requests);
+    const auth = new AppAuth({ appId: 42, privateKey: keys.privateKey, installationId: 7 });
+    return auth.getToken().then(() => auth.getToken()).then(token => {
+      expect(token).to.equal('token2');
+      expect(requests.length).to.equal(2);
+    });
+  });
+
+  it('should mint a new token after the current one is invalidated', () => {
+    initializeRequestHook([createTokenResponse('token1', 60), createTokenResponse('token2', 60)]);
+    const auth = new AppAuth({ appId: 42, privateKey: keys.privateKey, installationId: 7 });
+    return auth.getToken().then(token => {
+      auth.invalidate('someOtherToken');
+      expect(auth.token).to.equal('token1');
+      auth.invalidate(token);
+      return auth.getToken();
+    }).then(token => {
+      expect(token).to.equal('token2');
+    });
+  });
+
+  it('should fail if the token cannot be minted', () => {
+    initializeRequestHook([{ response: { statusCode: 404, headers: {}, body: { message: 'Not Found' } } }]);
+    const auth = new AppAuth({ appId: 42, privateKey: keys.privateKey, installationId: 7 });
+    return auth.getToken().then(
+      () => assert.fail(),
+      err => {
+        expect(err.message).to.include('404');
+        expect(auth._minting).to.be.null;
+      });
+  });
+
+  it('should retry minting and tell when tokens expire on the given clock', () => {
+    const start = Date.UTC(2020, 0, 1);
+    const clock = new FakeClock(start);
+    const requests = [];
+    initializeRequestHook([
+      { response: { statusCode: 502, headers: {}, body: 'bad gateway' } },
+      createTokenResponse('token1', 60, start),
+      createTokenResponse('token2', 60, start)
+    ], requests);
+    const auth = new AppAuth({ appId: 42, privateKey: keys.privateKey, installationId: 7, clock: clock });
+    const payload = JSON.parse(Buffer.from(auth.createJwt().split('.')[1], 'base64').toString());
+    expect(payload.iat).to.equal(start / 1000 - 60);
+    const first = auth.getToken();
+    return waitFor(() => clock.pending === 1).then(() => {
+      expect(requests.length).to.equal(1);
+      clock.tick(1000);
+      return first;
+    }).then(token => {
+      expect(token).to.equal('token1');
+      expect(requests.length).to.equal(2);
+      clock.tick(54 * 60 * 1000);
+      return auth.getToken();
+    }).then(token => {
+      expect(token).to.equal('token1');
+      clock.tick(60 * 1000);
+      return auth.getToken();
+    }).then(token => {
+      expect(token).to.equal('token2');
+      expect(requests.length).to.equal(3);
+    });
+  });
+
+  it('should mint through the given send function', () => {
+    const requests = [];
+    initializeRequestHook([], requests);
+    const sent = [];
+    const send = (options, callback) => {
+      sent.push(options);
+      setTimeout(() => callback(null, createTokenResponse('token1', 60).response, { token: 'token1' }), 0);
+    };
+    const auth = new AppAuth({ appId: 42, privateKey: keys.privateKey, installationId: 7, send: send });
+    return auth.getToken().then(token => {
+      expect(token).to.equal('token1');
+      expect(sent[0].url).to.equal('https://api.github.com/app/installations/7/access_tokens');
+      expect(requests.length).to.equal(0);
+    });
+  });
+});
+
+function waitFor(condition) {
+  return condition() ? Promise.resolve() : new Promise(resolve => setTimeout(resolve, 5)).then(() => waitFor(condition));
+}
+
+function createTokenResponse(token, minutes, now = Date.now()) {
+  const expires = new Date(now + minutes * 60 * 1000).toISOString();
+  return { response: { statusCode: 201, headers: {}, body: { token: token, expires_at: expires } } };
+}
@@ -0,0 +1,64 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const expect = require('chai').expect;
+const FileCache = require('../lib/fileCache.js');
+const fs = require('fs');
+const MemoryCache = require('../lib/memoryCache.js');
+const os = require('os');
+const path = require('path');
+
+describe('Memory cache', () => {
+  it('should get what was set', () => {
+    const cache = new MemoryCache();
+    cache.set('http://test.com/a', { etag: '"1"', body: [1] });
+    expect(cache.get('http://test.com/a').etag).to.equal('"1"');
+    expect(cache.get('http://test.com/b')).to.be.undefined;
+  });
+
+  it('should evict the least recently used entry', () => {
+    const cache = new MemoryCache({ maxEntries: 2 });
+    cache.set('a', { etag: '"a"' });
+    cache.set('b', { etag: '"b"' });
+    cache.get('a');
+    cache.set('c', { etag: '"c"' });
+    expect(cache.get('a').etag).to.equal('"a"');
+    expect(cache.get('b')).to.be.undefined;
+    expect(cache.get('c').etag).to.equal('"c"');
+  });
+});
+
+describe('File cache', () => {
+  const directory = path.join(os.tmpdir(), `ghrequestor-cache-${process.pid}`);
+
+  after(() => {
+    fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+    fs.rmdirSync(directory);
+  });
+
+  it('should round trip entries', () => {
+    const cache = new FileCache(directory);
+    return cache.set('http://test.com/a', { etag: '"1"', body: [{ id: 1 }] }).then(() => {
+      return cache.get('http://test.com/a');
+    }).then(entry => {
+      expect(entry.etag).to.equal('"1"');
+      expect(entry.body[0].id).to.equal(1);
+    });
+  });
+
+  it('should round trip Buffer bodies', () => {
+    const cache = new FileCache(directory);
+    return cache.set('http://test.com/blob', { etag: '"2"', body: Buffer.from([0, 1, 255]) }).then(() => {
+      return cache.get('http://test.com/blob');
+    }).then(entry => {
+      expect(Buffer.isBuffer(entry.body)).to.be.true;
+      expect(Array.from(entry.body)).to.deep.equal([0, 1, 255]);
+    });
+  });
+
+  it('should return null for missing entries', () => {
+    return new FileCache(directory).get('http://test.com/missing').then(entry => {
+      expect(entry).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,152 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const cli = require('../lib/cli.js');
+const expect = require('chai').expect;
+const fs = require('fs');
+const initializeRequestHook = require('./helpers/requestHook.js').initializeRequestHook;
+const os = require('os');
+const path = require('path');
+const Q = require('q');
+
+describe('Command line', () => {
+  const directory = path.join(os.tmpdir(), `ghrequestor-cli-${process.pid}`);
+  const output = path.join(directory, 'items.ndjson');
+  const checkpoint = path.join(directory, 'checkpoint.json');
+
+  before(() => {
+    fs.mkdirSync(directory);
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should parse arguments', () => {
+    const settings = cli.parse(['repos/o/r/issues', '--output', 'out.ndjson', '--resume', 'cp.json', '--stats', '--base-url', 'https://ghe.test.com']);
+    expect(settings).to.deep.equal({
+      target: 'repos/o/r/issues', baseUrl: 'https://ghe.test.com', output: 'out.ndjson', tokenFile: null, etagCache: null, resume: 'cp.json', stats: true, help: false
+    });
+    expect(() => cli.parse(['--output'])).to.throw(/Missing value/);
+    expect(() => cli.parse(['--bogus', 'x'])).to.throw(/Unknown option/);
+    expect(() => cli.parse([])).to.throw(/Missing URL/);
+  });
+
+  it('should read tokens from a file or the environment', () => {
+    const file = path.join(directory, 'tokens');
+    fs.writeFileSync(file, '# ops tokens\naaaa\n\nbbbb\n');
+    expect(cli.tokens({ tokenFile: file }, { GITHUB_TOKEN: 'cccc' })).to.deep.equal(['aaaa', 'bbbb']);
+    expect(cli.tokens({}, { GITHUB_TOKENS: 'aaaa, bbbb', GITHUB_TOKEN: 'cccc' })).to.deep.equal(['aaaa', 'bbbb']);
+    expect(cli.tokens({}, { GITHUB_TOKEN: 'cccc' })).to.deep.equal(['cccc']);
+    expect(cli.tokens({}, {})).to.deep.equal([]);
+  });
+
+  it('should write items as NDJSON with stats', () => {
+    const requestTracker = [];
+    initializeRequestHook([
+      createPage('repos/o/r/issues', [{ number: 1 }, { number: 2 }], 2),
+      { response: { statusCode: 500, headers: {}, body: 'oops' } },
+      createPage('repos/o/r/issues', [{ number: 3 }], null)
+    ], requestTracker);
+    const io = createIO({ GITHUB_TOKEN: 'abcdefghijkl1234' });
+    return cli.run(['/repos/o/r/issues', '--stats'], io, { retryDelay: 10 }).then(code => {
+      expect(code).to.equal(0);
+      expect(requestTracker[0].url).to.equal('https://api.github.com/repos/o/r/issues?per_page=100');
+      expect(requestTracker[0].headers.authorization).to.equal('token abcdefghijkl1234');
+      expect(io.stdout.text.split('\n')).to.deep.equal(['{"number":1}', '{"number":2}', '{"number":3}', '']);
+      const stats = JSON.parse(io.stderr.text);
+      expect(stats).to.deep.equal({ pages: 2, items: 3, attempts: 3, retries: 1, cached: 0, delays: 1, delayed: 10 });
+    });
+  });
+
+  it('should save the checkpoint of a failed walk and resume from it', () => {
+    initializeRequestHook([
+      createPage('repos/o/r/issues', [{ number: 1 }], 2),
+      { error: new Error('bummer') }
+    ]);
+    const args = ['https://api.github.com/repos/o/r/issues', '--output', output, '--resume', checkpoint];
+    return cli.run(args, createIO({}), { maxAttempts: 1 }).then(code => {
+      expect(code).to.equal(1);
+      expect(JSON.parse(fs.readFileSync(checkpoint, 'utf8')).page).to.equal(1);
+      expect(fs.readFileSync(output, 'utf8')).to.equal('{"number":1}\n');
+      const requestTracker = [];
+      initializeRequestHook([createPage('repos/o/r/issues', [{ number: 2 }], null)], requestTracker);
+      return cli.run(args, createIO({}), { maxAttempts: 1 });
+    }).then(code => {
+      expect(code).to.equal(0);
+      expect(fs.readFileSync(output, 'utf8')).to.equal('{"number":1}\n{"number":2}\n');
+      expect(fs.existsSync(checkpoint)).to.be.false;
+    });
+  });
+
+  it('should fail on error responses', () => {
+    const requestTracker = [];
+    initializeRequestHook([{ response: { statusCode: 404, statusMessage: 'Not Found', headers: {}, body: {} } }], requestTracker);
+    const io = createIO({});
+    return cli.run(['repos/o/missing', '--base-url', 'https://ghe.test.com'], io).then(code => {
+      expect(code).to.equal(1);
+      expect(requestTracker[0].url).to.equal('https://ghe.test.com/api/v3/repos/o/missing?per_page=100');
+      expect(requestTracker[0].baseUrl).to.be.undefined;
+      expect(io.stdout.text).to.equal('');
+      expect(io.stderr.text).to.include('404 Not Found');
+    });
+  });
+
+  it('should exit with usage on a missing token file or a corrupt checkpoint', () => {
+    const requestTracker = [];
+    initializeRequestHook([], requestTracker);
+    const missing = createIO({});
+    return cli.run(['repos/o/r/labels', '--token-file', path.join(directory, 'missing')], missing).then(code => {
+      expect(code).to.equal(2);
+      expect(missing.stderr.text).to.include('ENOENT');
+      expect(missing.stderr.text).to.include('Usage: ghrequestor');
+      fs.writeFileSync(checkpoint, '{"target":');
+      const corrupt = createIO({});
+      return cli.run(['repos/o/r/labels', '--resume', checkpoint], corrupt).then(code => {
+        expect(code).to.equal(2);
+        expect(corrupt.stderr.text).to.include('JSON');
+        expect(corrupt.stderr.text).to.include('Usage: ghrequestor');
+        expect(fs.readFileSync(checkpoint, 'utf8')).to.equal('{"target":');
+        expect(requestTracker.length).to.equal(0);
+      });
+    });
+  });
+
+  it('should reuse cached pages from the etag cache', () => {
+    const cache = path.join(directory, 'cache');
+    const first = createPage('repos/o/r/labels', [{ name: 'bug' }], null);
+    first.response.headers.etag = '"1"';
+    initializeRequestHook([first]);
+    return cli.run(['repos/o/r/labels', '--etag-cache', cache], createIO({})).then(() => {
+      // The cache is written in the background
+      return waitFor(() => fs.existsSync(cache) && fs.readdirSync(cache).length > 0);
+    }).then(() => {
+      const requestTracker = [];
+      initializeRequestHook([{ response: { statusCode: 304, headers: {} } }], requestTracker);
+      const io = createIO({});
+      return cli.run(['repos/o/r/labels', '--etag-cache', cache, '--stats'], io).then(code => {
+        expect(code).to.equal(0);
+        expect(requestTracker[0].headers['If-None-Match']).to.equal('"1"');
+        expect(io.stdout.text).to.equal('{"name":"bug"}\n');
+        expect(JSON.parse(io.stderr.text).cached).to.equal(1);
+      });
+    });
+  });
+});
+
+function waitFor(condition) {
+  return condition() ? Q() : Q.delay(5).then(() => waitFor(condition));
+}
+
+function createIO(env) {
+  const stream = () => ({ text: '', write(chunk) { this.text += chunk; } });
+  return { env: env, stdout: stream(), stderr: stream() };
+}
+
+function createPage(target, body, next) {
+  const headers = { 'x-ratelimit-remaining': 4000, 'x-ratelimit-reset': 0 };
+  if (next) {
+    headers.link = `<https://api.github.com/${target}?page=${next}>; rel="next"`;
+  }
+  return { response: { statusCode: 200, headers: headers, body: body } };
+}
@@ -0,0 +1,53 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const expect = require('chai').expect;
+const FakeClock = require('../lib/clock.js').FakeClock;
+const VirtualClock = require('../lib/clock.js').VirtualClock;
+
+describe('Fake clock', () => {
+  it('should only fire timers when ticked past their due time', () => {
+    const clock = new FakeClock(1000);
+    const fired = [];
+    clock.setTimeout(() => fired.push(['b', clock.now()]), 500);
+    clock.setTimeout(() => fired.push(['a', clock.now()]), 100);
+    expect(clock.pending).to.equal(2);
+    clock.tick(99);
+    expect(fired).to.deep.equal([]);
+    clock.tick(1);
+    expect(fired).to.deep.equal([['a', 1100]]);
+    clock.tick(1000);
+    expect(fired).to.deep.equal([['a', 1100], ['b', 1500]]);
+    expect(clock.now()).to.equal(2100);
+  });
+
+  it('should fire timers set by timers that come due within the tick', () => {
+    const clock = new FakeClock(0);
+    const fired = [];
+    clock.setTimeout(() => {
+      fired.push(clock.now());
+      clock.setTimeout(() => fired.push(clock.now()), 100);
+    }, 100);
+    const cleared = clock.setTimeout(() => fired.push('cleared'), 150);
+    clock.clearTimeout(cleared);
+    clock.tick(500);
+    expect(fired).to.deep.equal([100, 200]);
+    expect(clock.pending).to.equal(0);
+  });
+});
+
+describe('Virtual clock', () => {
+  it('should fire timers in due order and jump to their due times', done => {
+    const clock = new VirtualClock(1000);
+    const fired = [];
+    clock.setTimeout(() => fired.push(['b', clock.now()]), 500);
+    clock.setTimeout(() => fired.push(['a', clock.now()]), 100);
+    const cleared = clock.setTimeout(() => fired.push(['c', clock.now()]), 200);
+    clock.clearTimeout(cleared);
+    clock.setTimeout(() => {
+      expect(fired).to.deep.equal([['a', 1100], ['b', 1500]]);
+      expect(clock.now()).to.equal(61000);
+      done();
+    }, 60000);
+  });
+});
@@ -0,0 +1,57 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const errors = require('../lib/errors.js');
+const expect = require('chai').expect;
+
+describe('Errors', () => {
+  it('should classify failed responses', () => {
+    const classify = (statusCode, headers = {}) => errors.RequestError.fromResponse({ statusCode: statusCode, headers: headers });
+    expect(classify(404)).to.be.an.instanceof(errors.NotFoundError);
+    expect(classify(410)).to.be.an.instanceof(errors.NotFoundError);
+    expect(classify(401)).to.be.an.instanceof(errors.ForbiddenError);
+    expect(classify(403)).to.be.an.instanceof(errors.ForbiddenError);
+    expect(classify(403, { 'x-ratelimit-remaining': '0' })).to.be.an.instanceof(errors.RateLimitError);
+    expect(classify(403, { 'retry-after': '60' })).to.be.an.instanceof(errors.RateLimitError);
+    expect(classify(429)).to.be.an.instanceof(errors.RateLimitError);
+    expect(classify(502)).to.be.an.instanceof(errors.ServerError);
+    const unprocessable = classify(422);
+    expect(unprocessable.constructor).to.equal(errors.RequestError);
+    expect(unprocessable).to.be.an.instanceof(Error);
+  });
+
+  it('should go by the retry logic classification of 403s', () => {
+    const response = { statusCode: 403, headers: {}, _limit: { type: 'forbidden', delay: 1000 } };
+    expect(errors.RequestError.fromResponse(response)).to.be.an.instanceof(errors.RateLimitError);
+    response._limit = { type: 'permission', delay: null };
+    expect(errors.RequestError.fromResponse(response)).to.be.an.instanceof(errors.ForbiddenError);
+  });
+
+  it('should carry the response, activity and retryable flag', () => {
+    const response = { statusCode: 403, statusMessage: 'Forbidden', headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1500000000' } };
+    const activity = [{ attempts: 1 }];
+    const err = errors.RequestError.fromResponse(response, activity);
+    expect(err.name).to.equal('RateLimitError');
+    expect(err.message).to.equal('403 Forbidden');
+    expect(err.response).to.equal(response);
+    expect(err.statusCode).to.equal(403);
+    expect(err.activity).to.equal(activity);
+    expect(err.retryable).to.be.true;
+    expect(err.reset).to.equal(1500000000);
+    expect(errors.RequestError.fromResponse({ statusCode: 404 }, null, 'gone').retryable).to.be.false;
+    expect(new errors.PaginationError('mixed up').retryable).to.be.false;
+  });
+
+  it('should wrap network errors', () => {
+    const cause = new Error('socket hang up');
+    cause.code = 'ECONNRESET';
+    cause.attempts = 5;
+    const err = new errors.NetworkError(cause, { activity: [] });
+    expect(err.message).to.equal('socket hang up');
+    expect(err.code).to.equal('ECONNRESET');
+    expect(err.attempts).to.equal(5);
+    expect(err.cause).to.equal(cause);
+    expect(err.retryable).to.be.true;
+    expect(err.response).to.be.null;
+  });
+});
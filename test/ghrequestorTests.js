@@ -2,18 +2,28 @@
 // Licensed under the MIT License.
 
 const assert = require('chai').assert;
+const CancellationError = require('../lib/errors.js').CancellationError;
 const chai = require('chai');
+const crypto = require('crypto');
 const expect = require('chai').expect;
 const extend = require('extend');
-const request = require('requestretry');
+const hookRequest = require('./helpers/requestHook.js').hookRequest;
+const initializeRequestHook = require('./helpers/requestHook.js').initializeRequestHook;
+const MemoryCache = require('../lib/memoryCache.js');
+const Metrics = require('../lib/metrics.js');
+const Q = require('q');
+const RateLimiter = require('../lib/rateLimiter.js');
+const Recorder = require('../lib/recorder.js');
+const TokenPool = require('../lib/tokenPool.js');
+const VirtualClock = require('../lib/clock.js').VirtualClock;
 
 const defaultOptions = {
   retryDelay: 10,
   forbiddenDelay: 15,
-  mode: 'test',
   maxAttempts: 5
 };
-const requestor = require('../lib/ghrequestor.js').defaults(defaultOptions);
+const GHRequestor = require('../lib/ghrequestor.js');
+const requestor = GHRequestor.defaults(defaultOptions);
 
 const urlHost = 'https://test.com';
 
@@ -211,6 +221,646 @@ describe('Request retry and success', () => {
       });
     });
 
+    it(`should fetch pages concurrently when the last page is known ${logger ? 'with logging' : ''}`, () => {
+      const responses = [
+        createMultiPageResponse('concurrent', [{ page: 1 }], null, 2, 4),
+        createMultiPageResponse('concurrent', [{ page: 2 }], 1, 3, 4),
+        createMultiPageResponse('concurrent', [{ page: 3 }], 2, 4, 4),
+        createMultiPageResponse('concurrent', [{ page: 4 }], 3, null, 4)
+      ];
+      const requestTracker = [];
+      initializeRequestHook(responses, requestTracker);
+      return requestor.getAll(`${urlHost}/concurrent`, { pageConcurrency: 2, logger: logger }).then(result => {
+        expect(result.map(element => element.page)).to.deep.equal([1, 2, 3, 4]);
+        expect(result.activity.length).to.equal(4);
+        expect(requestTracker[0].url).to.not.include('?page=');
+        expect(requestTracker[1].url).to.include('page=2');
+        expect(requestTracker[2].url).to.include('page=3');
+        expect(requestTracker[3].url).to.include('page=4');
+      });
+    });
+
+    it(`should fall back to serial paging when pages are inconsistent ${logger ? 'with logging' : ''}`, () => {
+      const responses = [
+        createMultiPageResponse('inconsistent', [{ page: 1 }], null, 2, 3),
+        createMultiPageResponse('inconsistent', [{ page: 2 }], 1, 3, 3),
+        createMultiPageResponse('inconsistent', [{ page: 3 }], 2, 4, 4),
+        createMultiPageResponse('inconsistent', [{ page: 3 }], 2, 4, 4),
+        createMultiPageResponse('inconsistent', [{ page: 4 }], 3, null, 4)
+      ];
+      initializeRequestHook(responses);
+      return requestor.getAll(`${urlHost}/inconsistent`, { pageConcurrency: 4, logger: logger }).then(result => {
+        expect(result.map(element => element.page)).to.deep.equal([1, 2, 3, 4]);
+        expect(result.activity.length).to.equal(4);
+      });
+    });
+
+    it(`should iterate over pages ${logger ? 'with logging' : ''}`, () => {
+      const responses = [
+        createMultiPageResponse('iterate', [{ page: 1 }], null, 2, 2),
+        createMultiPageResponse('iterate', [{ page: 2 }], 1, null, 2)
+      ];
+      initializeRequestHook(responses);
+      const iterator = requestor.iterate(`${urlHost}/iterate`, { logger: logger });
+      return iterator.next().then(first => {
+        expect(first.done).to.be.false;
+        expect(first.value.body[0].page).to.equal(1);
+        return iterator.next();
+      }).then(second => {
+        expect(second.value.body[0].page).to.equal(2);
+        expect(second.value.activity.length).to.equal(2);
+        return iterator.next();
+      }).then(third => {
+        expect(third.done).to.be.true;
+      });
+    });
+
+    it(`should iterate over pages when next is called again before the last call resolves ${logger ? 'with logging' : ''}`, () => {
+      const responses = [
+        createMultiPageResponse('overlapping', [{ page: 1 }], null, 2, 3),
+        createMultiPageResponse('overlapping', [{ page: 2 }], 1, 3, 3),
+        createMultiPageResponse('overlapping', [{ page: 3 }], 2, null, 3)
+      ];
+      initializeRequestHook(responses);
+      const iterator = requestor.iterate(`${urlHost}/overlapping`, { each: 'item', logger: logger });
+      return Q.all([iterator.next(), iterator.next(), iterator.next(), iterator.next()]).then(results => {
+        expect(results.map(result => result.done)).to.deep.equal([false, false, false, true]);
+        expect(results.slice(0, 3).map(result => result.value.page)).to.deep.equal([1, 2, 3]);
+      });
+    });
+
+    it(`should iterate over items and stop fetching when stopped early ${logger ? 'with logging' : ''}`, () => {
+      const responses = [
+        createMultiPageResponse('iterateItems', [{ item: 1 }, { item: 2 }], null, 2, 3),
+        createMultiPageResponse('iterateItems', [{ item: 3 }], 1, 3, 3),
+        createMultiPageResponse('iterateItems', [{ item: 4 }], 2, null, 3)
+      ];
+      const requestTracker = [];
+      initializeRequestHook(responses, requestTracker);
+      const iterator = requestor.iterate(`${urlHost}/iterateItems`, { each: 'item', logger: logger });
+      return iterator.next().then(first => {
+        expect(first.value.item).to.equal(1);
+        return iterator.next();
+      }).then(second => {
+        expect(second.value.item).to.equal(2);
+        return iterator.return();
+      }).then(() => iterator.next()).then(next => {
+        expect(next.done).to.be.true;
+        expect(requestTracker.length).to.equal(1);
+      });
+    });
+
+    it(`should stream items ${logger ? 'with logging' : ''}`, () => {
+      const responses = [
+        createMultiPageResponse('streamItems', [{ item: 1 }, { item: 2 }], null, 2, 2),
+        createMultiPageResponse('streamItems', [{ item: 3 }], 1, null, 2)
+      ];
+      initializeRequestHook(responses);
+      const items = [];
+      return new Promise((resolve, reject) => {
+        requestor.stream(`${urlHost}/streamItems`, { each: 'item', logger: logger })
+          .on('data', item => items.push(item.item))
+          .on('error', reject)
+          .on('end', resolve);
+      }).then(() => {
+        expect(items).to.deep.equal([1, 2, 3]);
+      });
+    });
+
+    it(`should post GraphQL queries ${logger ? 'with logging' : ''}`, () => {
+      const requestTracker = [];
+      initializeRequestHook([createResponse({ data: { viewer: { login: 'octocat' } } })], requestTracker);
+      return requestor.graphql('query { viewer { login } }', {}, { logger: logger }).then(response => {
+        expect(response.body.data.viewer.login).to.equal('octocat');
+        expect(requestTracker[0].method).to.equal('POST');
+        expect(requestTracker[0].url).to.equal('https://api.github.com/graphql');
+        expect(requestTracker[0].body.query).to.equal('query { viewer { login } }');
+        expect(response.activity[0].attempts).to.equal(1);
+      });
+    });
+
+    it(`should follow GraphQL cursors and throttle on the rateLimit block ${logger ? 'with logging' : ''}`, () => {
+      const resetAt = new Date(Date.now() + 60000).toISOString();
+      const graphqlUrl = 'https://api.github.com/graphql';
+      const recorder = createReplay([
+        { method: 'POST', url: graphqlUrl, result: createResponse({ data: { rateLimit: { remaining: 4000, resetAt: resetAt, cost: 1 }, repository: { issues: { nodes: [{ number: 1 }, { number: 2 }], pageInfo: { hasNextPage: true, endCursor: 'abc' } } } } }) },
+        { method: 'POST', url: graphqlUrl, result: createResponse({ data: { rateLimit: { remaining: 10, resetAt: resetAt, cost: 1 }, repository: { issues: { nodes: [{ number: 3 }], pageInfo: { hasNextPage: false, endCursor: 'def' } } } } }) }
+      ]);
+      const query = 'query($cursor: String) { repository(owner: "o", name: "r") { issues(first: 100, after: $cursor) { nodes { number } pageInfo { hasNextPage endCursor } } } }';
+      return requestor.graphqlAll(query, { }, { path: 'repository.issues', recorder: recorder, logger: logger }).then(result => {
+        expect(result.map(issue => issue.number)).to.deep.equal([1, 2, 3]);
+        expect(recorder.replayed[0].body.variables.cursor).to.be.null;
+        expect(recorder.replayed[1].body.variables.cursor).to.equal('abc');
+        expect(result.activity.length).to.equal(2);
+        expect(result.activity[0].cost).to.equal(1);
+        expect(result.activity[0].rateLimitDelay).to.be.undefined;
+        expect(result.activity[1].rateLimitDelay > 0).to.be.true;
+      });
+    });
+
+    it(`should reject GraphQL responses with errors ${logger ? 'with logging' : ''}`, () => {
+      initializeRequestHook([createResponse({ errors: [{ message: 'Bad query' }] })]);
+      return requestor.graphql('query { nope }', {}, { logger: logger }).then(
+        response => assert.fail(),
+        err => {
+          expect(err.message).to.include('Bad query');
+          expect(err.activity.length).to.equal(1);
+        });
+    });
+
+    it(`should post through the same pipeline ${logger ? 'with logging' : ''}`, () => {
+      const requestTracker = [];
+      initializeRequestHook([createResponse({ id: 42 }, 201)], requestTracker);
+      return requestor.post(`${urlHost}/repos/o/r/labels`, { name: 'bug' }, { logger: logger }).then(response => {
+        expect(response.statusCode).to.equal(201);
+        expect(response.body.id).to.equal(42);
+        expect(requestTracker[0].method).to.equal('POST');
+        expect(requestTracker[0].body.name).to.equal('bug');
+        expect(requestTracker[0].url).to.not.include('per_page');
+        expect(response.activity[0].attempts).to.equal(1);
+      });
+    });
+
+    it(`should not retry server errors for non-idempotent methods unless told to ${logger ? 'with logging' : ''}`, () => {
+      const responses = [createResponse('bummer', 502), createResponse('bummer', 500), createResponse({ id: 42 }, 201)];
+      initializeRequestHook(responses);
+      return requestor.post(`${urlHost}/repos/o/r/issues`, { title: 'once' }, { logger: logger }).then(response => {
+        expect(response.statusCode).to.equal(502);
+        expect(response.activity[0].attempts).to.equal(1);
+        return requestor.post(`${urlHost}/repos/o/r/issues`, { title: 'again' }, { retryNonIdempotent: true, logger: logger });
+      }).then(response => {
+        expect(response.statusCode).to.equal(201);
+        expect(response.activity[0].attempts).to.equal(2);
+      });
+    });
+
+    it(`should not retry network errors for non-idempotent methods ${logger ? 'with logging' : ''}`, () => {
+      initializeRequestHook([createErrorResponse('socket hang up'), createResponse({ id: 1 })]);
+      return requestor.patch(`${urlHost}/repos/o/r/issues/1`, { state: 'closed' }, { logger: logger }).then(
+        response => assert.fail(),
+        err => {
+          expect(err.message).to.equal('socket hang up');
+          expect(err.activity[0].delays).to.be.undefined;
+        });
+    });
+
+    it(`should retry network errors for non-idempotent methods when the request was not sent ${logger ? 'with logging' : ''}`, () => {
+      const refused = createErrorResponse('connect ECONNREFUSED');
+      refused.error.code = 'ECONNREFUSED';
+      initializeRequestHook([refused, createResponse({ id: 1 }, 201)]);
+      return requestor.post(`${urlHost}/repos/o/r/issues`, { title: 'hi' }, { logger: logger }).then(response => {
+        expect(response.statusCode).to.equal(201);
+        expect(response.activity[0].delays.length).to.equal(1);
+      });
+    });
+
+    it(`should retry network errors for non-idempotent methods when asked ${logger ? 'with logging' : ''}`, () => {
+      initializeRequestHook([createErrorResponse('socket hang up'), createResponse({ id: 1 }, 201)]);
+      return requestor.post(`${urlHost}/repos/o/r/issues`, { title: 'hi' }, { retryNonIdempotent: true, logger: logger }).then(response => {
+        expect(response.statusCode).to.equal(201);
+      });
+    });
+
+    it(`should retry network errors for idempotent methods ${logger ? 'with logging' : ''}`, () => {
+      const requestTracker = [];
+      initializeRequestHook([createErrorResponse('socket hang up'), createResponse(null, 204)], requestTracker);
+      return requestor.delete(`${urlHost}/repos/o/r/labels/bug`, { logger: logger }).then(response => {
+        expect(response.statusCode).to.equal(204);
+        expect(requestTracker[0].method).to.equal('DELETE');
+      });
+    });
+
+    it(`should cancel a pending retry delay when the signal is aborted ${logger ? 'with logging' : ''}`, () => {
+      const limited = createMultiPageResponse('aborted', null, 1, null, 2, 429);
+      limited.response.headers['retry-after'] = '60';
+      initializeRequestHook([createMultiPageResponse('aborted', [{ page: 1 }], null, 2, 2), limited]);
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 50);
+      return requestor.getAll(`${urlHost}/aborted`, { signal: controller.signal, logger: logger }).then(
+        result => assert.fail(),
+        err => {
+          expect(err).to.be.instanceof(CancellationError);
+          expect(err.reason).to.equal('aborted');
+          expect(err.result.length).to.equal(1);
+          expect(err.activity.length).to.equal(2);
+          expect(err.activity[1].delays[0].secondaryRateLimit).to.equal(60000);
+        });
+    });
+
+    it(`should cancel a throttle sleep when the total timeout passes ${logger ? 'with logging' : ''}`, () => {
+      initializeRequestHook([createResponse({ id: 1 }, 200, 'OK', 20, Date.now() / 1000 + 60)]);
+      return requestor.get(`${urlHost}/timeout`, { totalTimeout: 50, logger: logger }).then(
+        response => assert.fail(),
+        err => {
+          expect(err).to.be.instanceof(CancellationError);
+          expect(err.reason).to.equal('timeout');
+          expect(err.activity[0].rateLimitDelay > 0).to.be.true;
+        });
+    });
+
+    it(`should not start when the signal is already aborted ${logger ? 'with logging' : ''}`, () => {
+      const requestTracker = [];
+      initializeRequestHook([createResponse({ id: 1 })], requestTracker);
+      const controller = new AbortController();
+      controller.abort();
+      return requestor.get(`${urlHost}/alreadyAborted`, { signal: controller.signal, logger: logger }).then(
+        response => assert.fail(),
+        err => {
+          expect(err).to.be.instanceof(CancellationError);
+          expect(requestTracker.length).to.equal(0);
+        });
+    });
+
+    it(`should gate requests through a shared rate limiter ${logger ? 'with logging' : ''}`, () => {
+      const limiter = new RateLimiter({ lowerBounds: { core: 10 } });
+      const instance = requestor.defaults({ rateLimiter: limiter, headers: { authorization: 'token 1' }, logger: logger });
+      const reset = Math.floor(Date.now() / 1000) + 600;
+      initializeRequestHook([createResponse({ id: 1 }, 200, 'OK', 10, reset), createResponse({ id: 2 })]);
+      return instance.get(`${urlHost}/limited`).then(response => {
+        expect(response.activity[0].rateLimitDelay).to.be.undefined;
+        const bucket = limiter.buckets.get(limiter.keyFor('token 1', `${urlHost}/limited`));
+        expect(bucket.remaining).to.equal(10);
+        expect(bucket.inFlight).to.equal(0);
+        return instance.get(`${urlHost}/limited`, { totalTimeout: 50 }).then(
+          response => assert.fail(),
+          err => {
+            expect(err).to.be.instanceof(CancellationError);
+            expect(bucket.queue.length).to.equal(0);
+            expect(bucket.timer).to.be.null;
+          });
+      });
+    });
+
+    it(`should search and detect incomplete results ${logger ? 'with logging' : ''}`, () => {
+      const first = createMultiPageResponse('search/issues?q=bug', { total_count: 3, incomplete_results: false, items: [{ number: 1 }, { number: 2 }] }, null, 2, 2);
+      const second = createMultiPageResponse('search/issues?q=bug', { total_count: 3, incomplete_results: true, items: [{ number: 3 }] }, 1, null, 2);
+      const requestTracker = [];
+      initializeRequestHook([first, second], requestTracker);
+      return requestor.search('issues', 'bug is:open', { searchUrl: `${urlHost}/search`, sort: 'created', logger: logger }).then(result => {
+        expect(result.map(issue => issue.number)).to.deep.equal([1, 2, 3]);
+        expect(result.totalCount).to.equal(3);
+        expect(result.incomplete).to.be.true;
+        expect(result.activity.length).to.equal(2);
+        expect(requestTracker[0].url).to.equal(`${urlHost}/search/issues?q=bug%20is%3Aopen&sort=created&per_page=100`);
+      });
+    });
+
+    it(`should split searches with more than 1000 results by date ${logger ? 'with logging' : ''}`, () => {
+      const responses = [
+        createResponse({ total_count: 1500, items: [{ number: 0 }] }),
+        createResponse({ total_count: 600, items: [{ number: 1 }] }),
+        createMultiPageResponse('search/issues?q=right', { total_count: 900, items: [{ number: 2 }] }, null, 2, 2),
+        createMultiPageResponse('search/issues?q=right', { total_count: 900, items: [{ number: 3 }] }, 1, null, 2)
+      ];
+      const requestTracker = [];
+      initializeRequestHook(responses, requestTracker);
+      const split = { qualifier: 'created', from: '2020-01-01T00:00:00Z', to: '2020-01-03T00:00:00Z' };
+      return requestor.search('issues', 'bug', { searchUrl: `${urlHost}/search`, split: split, logger: logger }).then(result => {
+        expect(result.map(issue => issue.number)).to.deep.equal([1, 2, 3]);
+        expect(result.totalCount).to.equal(1500);
+        const queries = requestTracker.map(options => decodeURIComponent(options.url.match(/q=([^&]*)/)[1]));
+        expect(queries[0]).to.equal('bug created:2020-01-01T00:00:00Z..2020-01-03T00:00:00Z');
+        expect(queries[1]).to.equal('bug created:2020-01-01T00:00:00Z..2020-01-02T00:00:00Z');
+        expect(queries[2]).to.equal('bug created:2020-01-02T00:00:01Z..2020-01-03T00:00:00Z');
+      });
+    });
+
+    it(`should use the search lower bound when throttling searches ${logger ? 'with logging' : ''}`, () => {
+      initializeRequestHook([createResponse({ total_count: 1, items: [{ number: 1 }] }, 200, 'OK', 20, Date.now() / 1000 + 60)]);
+      return requestor.search('issues', 'bug', { searchUrl: `${urlHost}/search`, logger: logger }).then(result => {
+        expect(result.activity[0].rateLimitDelay).to.be.undefined;
+      });
+    });
+
+    it(`should authenticate as a GitHub App and re-mint rejected tokens ${logger ? 'with logging' : ''}`, () => {
+      const privateKey = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+        publicKeyEncoding: { type: 'spki', format: 'pem' }
+      }).privateKey;
+      const expires = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const responses = [
+        createResponse({ token: 'installation1', expires_at: expires }, 201),
+        createResponse({ id: 1 }),
+        createResponse({ message: 'Bad credentials' }, 401),
+        createResponse({ token: 'installation2', expires_at: expires }, 201),
+        createResponse({ id: 2 })
+      ];
+      const requestTracker = [];
+      initializeRequestHook(responses, requestTracker);
+      const auth = { appId: 42, privateKey: privateKey, installationId: 7 };
+      const template = requestor.defaults({ auth: auth, logger: logger });
+      return template.get(`${urlHost}/repos/o/r`).then(first => {
+        expect(first.body.id).to.equal(1);
+        return template.get(`${urlHost}/repos/o/r`);
+      }).then(second => {
+        expect(second.body.id).to.equal(2);
+        expect(second.activity[0].reauthorized).to.be.true;
+        const authorizations = requestTracker.map(options => options.headers.authorization);
+        expect(authorizations[0]).to.match(/^Bearer /);
+        expect(authorizations.slice(1, 3)).to.deep.equal(['token installation1', 'token installation1']);
+        expect(authorizations[3]).to.match(/^Bearer /);
+        expect(authorizations[4]).to.equal('token installation2');
+        // request has an auth option of its own so the app settings must not reach it
+        expect(requestTracker.filter(options => options.auth !== undefined)).to.deep.equal([]);
+      });
+    });
+
+    it(`should wait out a forbidden delay on the given clock ${logger ? 'with logging' : ''}`, () => {
+      const clock = new VirtualClock(1000000);
+      initializeRequestHook([createResponse({ message: 'You have exceeded a secondary rate limit' }, 403), createResponse({ id: 1 })]);
+      return requestor.get(`${urlHost}/forbidden`, { clock: clock, forbiddenDelay: 3 * 60 * 1000, logger: logger }).then(response => {
+        expect(response.body.id).to.equal(1);
+        expect(response.activity[0].delays).to.deep.equal([{ forbidden: 180000 }]);
+        expect(clock.now()).to.equal(1180000);
+      });
+    });
+
+    it(`should sleep until the reset and time out on the given clock ${logger ? 'with logging' : ''}`, () => {
+      const clock = new VirtualClock(1000000);
+      initializeRequestHook([createResponse({ id: 1 }, 200, 'OK', 20, 1600), createResponse({ id: 2 }, 200, 'OK', 20, 1600)]);
+      return requestor.get(`${urlHost}/throttled`, { clock: clock, logger: logger }).then(response => {
+        expect(response.activity[0].rateLimitDelay).to.equal(600000);
+        expect(clock.now()).to.equal(1600000);
+        return requestor.get(`${urlHost}/throttled`, { clock: clock, totalTimeout: 1000, logger: logger });
+      }).then(
+        response => assert.fail(),
+        err => {
+          expect(err).to.be.instanceof(CancellationError);
+          expect(err.reason).to.equal('timeout');
+          expect(clock.now()).to.equal(1601000);
+        });
+    });
+
+    it(`should emit events on templates and their parents ${logger ? 'with logging' : ''}`, () => {
+      const responses = [
+        createMultiPageResponse('events', [{ page: 1 }], null, 2, 2, 500),
+        createMultiPageResponse('events', [{ page: 1 }], null, 2, 2),
+        createMultiPageResponse('events', [{ page: 2 }], 1, null, 2, 200, null, 20, 1600)
+      ];
+      initializeRequestHook(responses);
+      const parent = requestor.defaults({ clock: new VirtualClock(1000000), logger: logger });
+      const child = parent.defaults({});
+      const events = [];
+      ['request', 'response', 'retry', 'throttle', 'page'].forEach(name => parent.on(name, data => events.push([name, data])));
+      const metrics = new Metrics().attach(child);
+      return child.getAll(`${urlHost}/events`).then(result => {
+        expect(result.length).to.equal(2);
+        expect(events.map(event => event[0])).to.deep.equal(['request', 'response', 'retry', 'request', 'response', 'page', 'request', 'response', 'throttle', 'page']);
+        expect(events[2][1]).to.include({ reason: 'retry', delay: 10, attempt: 1 });
+        expect(events[7][1]).to.include({ statusCode: 200, resource: 'core', remaining: 20, attempt: 1 });
+        expect(events[8][1]).to.include({ reason: 'lowerBound', delay: 599990 });
+        expect(events[9][1]).to.include({ index: 1, statusCode: 200 });
+        expect(metrics.get('requests_total', { method: 'GET' })).to.equal(2);
+        expect(metrics.get('attempts_total', { method: 'GET' })).to.equal(3);
+        expect(metrics.get('pages_total')).to.equal(2);
+        expect(metrics.get('rate_limit_remaining', { resource: 'core' })).to.equal(20);
+      });
+    });
+
+    it(`should emit error events only to listeners ${logger ? 'with logging' : ''}`, () => {
+      initializeRequestHook([createErrorResponse('bummer'), createErrorResponse('bummer')]);
+      const template = requestor.defaults({ maxAttempts: 1, logger: logger });
+      const errors = [];
+      return template.get(`${urlHost}/unheard`).then(
+        response => assert.fail(),
+        err => {
+          expect(err.message).to.equal('bummer');
+          template.on('error', data => errors.push(data.error));
+          return template.get(`${urlHost}/heard`);
+        }).then(
+          response => assert.fail(),
+          err => {
+            expect(errors).to.deep.equal([err]);
+          });
+    });
+
+    it(`should checkpoint a failed walk and resume from the checkpoint ${logger ? 'with logging' : ''}`, () => {
+      const first = createMultiPageResponse('resumable', [{ page: 1 }], null, 2, 3);
+      first.response.headers.etag = '"1"';
+      const second = createMultiPageResponse('resumable', [{ page: 2 }], 1, 3, 3);
+      second.response.headers.etag = '"2"';
+      const third = createMultiPageResponse('resumable', [{ page: 3 }], 2, null, 3);
+      const requestTracker = [];
+      initializeRequestHook([first, createErrorResponse('bummer'), second, third], requestTracker);
+      let checkpoint = null;
+      return requestor.getAll(`${urlHost}/resumable`, { maxAttempts: 1, logger: logger }).then(
+        result => assert.fail(),
+        err => {
+          expect(err.checkpoint).to.deep.equal({ next: `${urlHost}/resumable?page=2`, page: 1, etags: ['"1"'] });
+          expect(err.result.map(response => response.body[0].page)).to.deep.equal([1]);
+          checkpoint = JSON.parse(JSON.stringify(err.checkpoint));
+          return requestor.getAll(`${urlHost}/resumable`, { resumeFrom: checkpoint, etags: ['"1"', '"2"'], logger: logger });
+        }).then(result => {
+          expect(result.map(item => item.page)).to.deep.equal([2, 3]);
+          expect(requestTracker[2].url).to.equal(`${urlHost}/resumable?page=2&per_page=100`);
+          expect(requestTracker[2].headers['If-None-Match']).to.equal('"2"');
+          expect(result.checkpoint).to.deep.equal({ next: null, page: 3, etags: ['"1"', '"2"', null] });
+          expect(checkpoint.etags).to.deep.equal(['"1"']);
+        });
+    });
+
+    it(`should resume from a checkpoint that only has the next URL ${logger ? 'with logging' : ''}`, () => {
+      initializeRequestHook([createMultiPageResponse('resumable', [{ page: 2 }], 1, null, 2)]);
+      return requestor.getAll(`${urlHost}/resumable`, { resumeFrom: { next: `${urlHost}/resumable?page=2` }, logger: logger }).then(result => {
+        expect(result.map(item => item.page)).to.deep.equal([2]);
+        expect(result.checkpoint).to.deep.equal({ next: null, page: 1, etags: [null] });
+      });
+    });
+
+    it(`should checkpoint concurrent pages in page order ${logger ? 'with logging' : ''}`, () => {
+      const responses = [
+        createMultiPageResponse('concurrentCheckpoint', [{ page: 1 }], null, 2, 3),
+        createMultiPageResponse('concurrentCheckpoint', [{ page: 2 }], 1, 3, 3),
+        createErrorResponse('bummer')
+      ];
+      initializeRequestHook(responses);
+      return requestor.getAllResponses(`${urlHost}/concurrentCheckpoint`, { pageConcurrency: 2, maxAttempts: 1, logger: logger }).then(
+        result => assert.fail(),
+        err => {
+          expect(err.checkpoint).to.deep.equal({ next: `${urlHost}/concurrentCheckpoint?page=3`, page: 2, etags: [null, null] });
+          expect(err.result.map(response => response.body[0].page)).to.deep.equal([1, 2]);
+        });
+    });
+
+    it(`should fetch issues incrementally and report the high-water mark ${logger ? 'with logging' : ''}`, () => {
+      const responses = [
+        createMultiPageResponse('repos/o/r/issues?since=2020-01-01T00%3A00%3A00Z', [{ number: 1, updated_at: '2020-01-03T00:00:00Z' }], null, 2, 2),
+        createMultiPageResponse('repos/o/r/issues?since=2020-01-01T00%3A00%3A00Z', [{ number: 2, updated_at: '2020-01-02T00:00:00Z' }, { number: 3, updated_at: '2020-01-01T00:00:00Z' }], 1, null, 2)
+      ];
+      const requestTracker = [];
+      initializeRequestHook(responses, requestTracker);
+      const incremental = { since: '2020-01-01T00:00:00Z' };
+      return requestor.getAll(`${urlHost}/repos/o/r/issues`, { incremental: incremental, logger: logger }).then(result => {
+        expect(requestTracker[0].url).to.equal(`${urlHost}/repos/o/r/issues?since=2020-01-01T00%3A00%3A00Z&per_page=100`);
+        expect(result.map(issue => issue.number)).to.deep.equal([1, 2]);
+        expect(result.highWaterMark).to.equal('2020-01-03T00:00:00.000Z');
+      });
+    });
+
+    it(`should stop paging newest first collections at the high-water mark ${logger ? 'with logging' : ''}`, () => {
+      const responses = [
+        createMultiPageResponse('repos/o/r/events', [{ id: '12' }, { id: '11' }], null, 2, 3),
+        createMultiPageResponse('repos/o/r/events', [{ id: '10' }, { id: '9' }], 1, 3, 3)
+      ];
+      const requestTracker = [];
+      initializeRequestHook(responses, requestTracker);
+      return requestor.getAll(`${urlHost}/repos/o/r/events`, { incremental: { since: 10 }, pageConcurrency: 4, logger: logger }).then(result => {
+        expect(requestTracker.length).to.equal(2);
+        expect(result.map(event => event.id)).to.deep.equal(['12', '11']);
+        expect(result.highWaterMark).to.equal(12);
+        expect(result.checkpoint.next).to.be.null;
+      });
+    });
+
+    it(`should traverse related resources through templates ${logger ? 'with logging' : ''}`, () => {
+      const responses = [
+        createResponse({ url: `${urlHost}/repos/o/r`, issues_url: `${urlHost}/repos/o/r/issues{/number}` }),
+        createMultiPageResponse('repos/o/r/issues', [{ number: 1 }], null, 2, 2),
+        createMultiPageResponse('repos/o/r/issues', [{ number: 2 }], 1, null, 2)
+      ];
+      const requestTracker = [];
+      initializeRequestHook(responses, requestTracker);
+      const template = requestor.defaults({ logger: logger });
+      const pages = [];
+      template.on('page', page => pages.push(page.target));
+      const records = [];
+      const deferred = Q.defer();
+      template.traverse(`${urlHost}/repos/o/r`, { issues_url: true })
+        .on('data', record => records.push(record))
+        .on('error', deferred.reject)
+        .on('end', deferred.resolve);
+      return deferred.promise.then(() => {
+        expect(requestTracker[1].url).to.equal(`${urlHost}/repos/o/r/issues?per_page=100`);
+        expect(records.map(record => record.entity.number)).to.deep.equal([undefined, 1, 2]);
+        expect(records[2].parent).to.equal(`${urlHost}/repos/o/r`);
+        expect(records[2].field).to.equal('issues_url');
+        expect(pages.length).to.equal(3);
+      });
+    });
+
+    it(`should reject failed responses with typed errors when told to ${logger ? 'with logging' : ''}`, () => {
+      const responses = [
+        createResponse('bummer', 500, 'Server Error'),
+        createResponse('bummer', 500, 'Server Error'),
+        createResponse({ message: 'Not Found' }, 404, 'Not Found')
+      ];
+      initializeRequestHook(responses);
+      return requestor.get(`${urlHost}/serverError`, { maxAttempts: 2, throwOnHttpError: true, logger: logger }).then(
+        response => assert.fail(),
+        err => {
+          expect(err).to.be.an.instanceof(GHRequestor.ServerError);
+          expect(err.retryable).to.be.true;
+          expect(err.response.statusCode).to.equal(500);
+          expect(err.activity[0].attempts).to.equal(2);
+          return requestor.getAll(`${urlHost}/missing`, { throwOnHttpError: true, logger: logger });
+        }).then(
+        result => assert.fail(),
+        err => {
+          expect(err).to.be.an.instanceof(GHRequestor.NotFoundError);
+          expect(err.retryable).to.be.false;
+          expect(err.checkpoint.next).to.equal(`${urlHost}/missing`);
+        });
+    });
+
+    it(`should reject with typed errors for network and pagination failures ${logger ? 'with logging' : ''}`, () => {
+      initializeRequestHook([createErrorResponse('bummer'), createResponse(null, 304), createResponse({}, 404, 'Not Found')]);
+      return requestor.get(`${urlHost}/network`, { maxAttempts: 1, logger: logger }).then(
+        response => assert.fail(),
+        err => {
+          expect(err).to.be.an.instanceof(GHRequestor.NetworkError);
+          expect(err.message).to.equal('bummer');
+          return requestor.getAll(`${urlHost}/unchanged`, { etags: ['"1"'], logger: logger });
+        }).then(
+        result => assert.fail(),
+        err => {
+          expect(err).to.be.an.instanceof(GHRequestor.PaginationError);
+          expect(err.response.statusCode).to.equal(304);
+          return requestor.getAll(`${urlHost}/missing`, { logger: logger });
+        }).then(
+        result => assert.fail(),
+        err => {
+          expect(err).to.be.an.instanceof(GHRequestor.NotFoundError);
+          expect(err.message).to.equal('Cannot flatten response with status code: 404');
+          expect(err.activity.length).to.equal(1);
+        });
+    });
+
+    it(`should resolve paths against the base URL and keep pages on its host ${logger ? 'with logging' : ''}`, () => {
+      const ghes = 'https://ghe.test.com';
+      const unlimited = body => ({ response: { statusCode: 200, headers: {}, body: body } });
+      const responses = [
+        { response: { statusCode: 200, headers: { link: '<http://ghe-internal:8080/api/v3/repos/o/r/issues?page=2>; rel="next"' }, body: [{ id: 1 }] } },
+        unlimited([{ id: 2 }]),
+        unlimited({ id: 3 }),
+        createResponse({ data: {} }),
+        createResponse({ items: [], total_count: 0 })
+      ];
+      const requestTracker = [];
+      initializeRequestHook(responses, requestTracker);
+      const template = GHRequestor.defaults(extend({}, defaultOptions, { baseUrl: ghes, logger: logger }));
+      return template.getAll('/repos/o/r/issues').then(result => {
+        expect(requestTracker.map(options => options.url)).to.deep.equal([
+          `${ghes}/api/v3/repos/o/r/issues?per_page=100`,
+          `${ghes}/api/v3/repos/o/r/issues?page=2&per_page=100`
+        ]);
+        // request has a baseUrl option of its own that does not take absolute URLs
+        expect(requestTracker.filter(options => options.baseUrl !== undefined || options.logger !== undefined)).to.deep.equal([]);
+        // Rate limiting is disabled on this server so there are no headers and no throttling
+        expect(result.activity.map(entry => entry.rateLimitDelay)).to.deep.equal([undefined, undefined]);
+        return template.get('/api/v3/repos/o/r');
+      }).then(response => {
+        expect(requestTracker[2].url).to.equal(`${ghes}/api/v3/repos/o/r?per_page=100`);
+        expect(response.body.id).to.equal(3);
+        return template.graphql('query { viewer { login } }');
+      }).then(() => {
+        expect(requestTracker[3].url).to.equal(`${ghes}/api/graphql`);
+        return template.search('issues', 'bug');
+      }).then(() => {
+        expect(requestTracker[4].url).to.equal(`${ghes}/api/v3/search/issues?q=bug&per_page=100`);
+      });
+    });
+
+    it(`should ask for the given media type and keep other formats raw ${logger ? 'with logging' : ''}`, () => {
+      const diff = 'diff --git a/README.md b/README.md';
+      const blob = createResponse(Buffer.from('{"not":"parsed"}'));
+      blob.response.headers.etag = '"blob"';
+      const responses = [createResponse(diff), createResponse([{ id: 1 }]), blob];
+      const requestTracker = [];
+      initializeRequestHook(responses, requestTracker);
+      return requestor.get(`${urlHost}/repos/o/r/pulls/1`, { mediaType: { format: 'diff' }, logger: logger }).then(response => {
+        expect(requestTracker[0].headers.Accept).to.equal('application/vnd.github.v3.diff');
+        expect(requestTracker[0].json).to.be.false;
+        expect(response.body).to.equal(diff);
+        const options = { mediaType: { previews: ['mercy', 'squirrel-girl-preview'] }, apiVersion: '2022-11-28', logger: logger };
+        return requestor.getAll(`${urlHost}/repos/o/r/topics`, options);
+      }).then(result => {
+        expect(requestTracker[1].headers.Accept).to.equal('application/vnd.github.mercy-preview+json, application/vnd.github.squirrel-girl-preview+json');
+        expect(requestTracker[1].headers['X-GitHub-Api-Version']).to.equal('2022-11-28');
+        expect(requestTracker[1].json).to.be.true;
+        expect(result[0].id).to.equal(1);
+        const cache = new MemoryCache();
+        return requestor.getAll(`${urlHost}/repos/o/r/git/blobs/abc`, { mediaType: { format: 'raw', buffer: true }, cache: cache, logger: logger }).then(result => {
+          expect(requestTracker[2].encoding).to.be.null;
+          // Non-array bodies are not flattened
+          expect(result.length).to.equal(1);
+          expect(result[0].toString()).to.equal('{"not":"parsed"}');
+          expect(Array.from(cache.entries.keys())).to.deep.equal([`${urlHost}/repos/o/r/git/blobs/abc?per_page=100 application/vnd.github.v3.raw`]);
+        });
+      });
+    });
+
+    it(`should fail requests that request rejects before returning ${logger ? 'with logging' : ''}`, () => {
+      hookRequest((options, callback) => callback(new Error('options.uri is a required argument')));
+      return requestor.get(`${urlHost}/rejected`, { maxAttempts: 1, logger: logger }).then(
+        response => assert.fail(),
+        err => {
+          expect(err).to.be.an.instanceof(GHRequestor.NetworkError);
+          expect(err.message).to.equal('options.uri is a required argument');
+          expect(err.attempts).to.equal(1);
+        });
+    });
+
     it(`should retry 500 errors and eventually fail ${logger ? 'with logging' : ''}`, () => {
       const responses = [
         createResponse('bummer', 500, 'Server Error'),
@@ -288,7 +938,7 @@ describe('Request retry and success', () => {
 
     it(`should recover after 403 forbidden ${logger ? 'with logging' : ''}`, () => {
       const responses = [
-        createResponse('forbidden 1', 403),
+        createResponse({ message: 'You have exceeded a secondary rate limit.' }, 403),
         createResponse({ id: 1 }),
         createResponse({ id: 2 })
       ];
@@ -304,6 +954,77 @@ describe('Request retry and success', () => {
       });
     });
 
+    it(`should back off according to the retry policy ${logger ? 'with logging' : ''}`, () => {
+      const responses = [
+        createResponse('bummer', 502),
+        createResponse('bummer', 502),
+        createResponse({ id: 1 })
+      ];
+      initializeRequestHook(responses);
+      const retryPolicy = { baseDelay: 5, multiplier: 2, retryStatusCodes: [502] };
+      return requestor.get(`${urlHost}/backoff`, { retryPolicy: retryPolicy, logger: logger }).then(response => {
+        expect(response.body.id).to.equal(1);
+        const activity = response.activity[0];
+        expect(activity.attempts).to.equal(3);
+        expect(activity.delays[0].retry).to.equal(5);
+        expect(activity.delays[1].retry).to.equal(10);
+      });
+    });
+
+    it(`should not retry status codes outside the retry policy ${logger ? 'with logging' : ''}`, () => {
+      initializeRequestHook([createResponse('bummer', 500), createResponse({ id: 1 })]);
+      return requestor.get(`${urlHost}/noRetry`, { retryPolicy: { retryStatusCodes: [502] }, logger: logger }).then(response => {
+        expect(response.statusCode).to.equal(500);
+        expect(response.activity[0].attempts).to.equal(1);
+      });
+    });
+
+    it(`should stop retrying when the retry time budget is spent ${logger ? 'with logging' : ''}`, () => {
+      initializeRequestHook([createResponse('bummer', 500), createResponse({ id: 1 })]);
+      return requestor.get(`${urlHost}/budget`, { retryPolicy: { baseDelay: 100, maxRetryTime: 50 }, logger: logger }).then(response => {
+        expect(response.statusCode).to.equal(500);
+        expect(response.activity[0].attempts).to.equal(1);
+        expect(response.activity[0].delays).to.be.undefined;
+      });
+    });
+
+    it(`should wait for Retry-After on secondary rate limits ${logger ? 'with logging' : ''}`, () => {
+      const limited = createResponse({ message: 'You have exceeded a secondary rate limit.' }, 429);
+      limited.response.headers['retry-after'] = '0';
+      initializeRequestHook([limited, createResponse({ id: 1 })]);
+      return requestor.get(`${urlHost}/secondary`, { logger: logger }).then(response => {
+        expect(response.body.id).to.equal(1);
+        const activity = response.activity[0];
+        expect(activity.attempts).to.equal(2);
+        expect(activity.delays.length).to.equal(1);
+        expect(activity.delays[0].secondaryRateLimit).to.equal(0);
+      });
+    });
+
+    it(`should not retry 403 responses due to permissions ${logger ? 'with logging' : ''}`, () => {
+      initializeRequestHook([createResponse({ message: 'Resource not accessible by integration' }, 403), createResponse({ id: 1 })]);
+      return requestor.get(`${urlHost}/permission`, { logger: logger }).then(response => {
+        expect(response.statusCode).to.equal(403);
+        expect(response.activity[0].attempts).to.equal(1);
+        expect(response.activity[0].delays).to.be.undefined;
+      });
+    });
+
+    it(`should switch tokens on primary rate limits ${logger ? 'with logging' : ''}`, () => {
+      const requestTracker = [];
+      const reset = Math.floor(Date.now() / 1000) + 3600;
+      initializeRequestHook([createResponse({ message: 'API rate limit exceeded' }, 403, null, '0', reset), createResponse({ id: 1 })], requestTracker);
+      const tokens = ['aaaaaaaaaaaa1111', 'bbbbbbbbbbbb2222'];
+      return requestor.get(`${urlHost}/primary`, { tokens: tokens, logger: logger }).then(response => {
+        expect(response.body.id).to.equal(1);
+        expect(requestTracker[1].headers.authorization).to.equal(`token ${tokens[1]}`);
+        const activity = response.activity[0];
+        expect(activity.attempts).to.equal(2);
+        expect(activity.token).to.equal('***2222');
+        expect(activity.delays[0].tokenRotation).to.equal(0);
+      });
+    });
+
     it(`should recover after error and deliver all pages ${logger ? 'with logging' : ''}`, () => {
       const responses = [
         // createMultiPageResponse(target, body, previous, next, last, code = 200, error = null, remaining = 4000) {
@@ -332,12 +1053,11 @@ describe('Request retry and success', () => {
     });
 
     it(`should recover after throttling and deliver all pages ${logger ? 'with logging' : ''}`, () => {
-      const responses = [
-        createMultiPageResponse('pagedWithErrors', [{ page: 1 }], null, 2, 2, 200, null, 20, Date.now() + 1000),
-        createMultiPageResponse('pagedWithErrors', [{ page: 2 }], 1, null)
-      ];
-      initializeRequestHook(responses);
-      return requestor.getAll(`${urlHost}`, { logger: logger }).then(result => {
+      const recorder = createReplay([
+        { url: `${urlHost}?per_page=100`, result: createMultiPageResponse('pagedWithErrors', [{ page: 1 }], null, 2, 2, 200, null, 20, Date.now() / 1000 + 60) },
+        { url: `${urlHost}/pagedWithErrors?page=2&per_page=100`, result: createMultiPageResponse('pagedWithErrors', [{ page: 2 }], 1, null) }
+      ]);
+      return requestor.getAll(`${urlHost}`, { recorder: recorder, logger: logger }).then(result => {
         expect(result.length).to.equal(2);
         expect(result[0].page).to.equal(1);
         expect(result[1].page).to.equal(2);
@@ -357,11 +1077,10 @@ describe('Request retry and success', () => {
     });
 
     it(`should deliver result array after throttling ${logger ? 'with logging' : ''}`, () => {
-      const responses = [
-        createMultiPageResponse('throttled', [{ page: 1 }], null, null, 1, 200, null, 20, Date.now() + 1000)
-      ];
-      initializeRequestHook(responses);
-      return requestor.getAll(`${urlHost}`, { logger: logger }).then(result => {
+      const recorder = createReplay([
+        { url: `${urlHost}?per_page=100`, result: createMultiPageResponse('throttled', [{ page: 1 }], null, null, 1, 200, null, 20, Date.now() / 1000 + 60) }
+      ]);
+      return requestor.getAll(`${urlHost}`, { recorder: recorder, logger: logger }).then(result => {
         expect(result.length).to.equal(1);
         expect(result[0].page).to.equal(1);
 
@@ -376,11 +1095,10 @@ describe('Request retry and success', () => {
     });
 
     it(`should deliver single result after throttling ${logger ? 'with logging' : ''}`, () => {
-      const responses = [
-        createResponse({ cool: 'object' }, 200, 'OK', 20, Date.now() + 1000)
-      ];
-      initializeRequestHook(responses);
-      return requestor.get(`${urlHost}`, { logger: logger }).then(result => {
+      const recorder = createReplay([
+        { url: `${urlHost}?per_page=100`, result: createResponse({ cool: 'object' }, 200, 'OK', 20, Date.now() / 1000 + 60) }
+      ]);
+      return requestor.get(`${urlHost}`, { recorder: recorder, logger: logger }).then(result => {
         expect(Array.isArray(result)).to.be.false;
         expect(result.body.cool).to.equal('object');
 
@@ -480,6 +1198,142 @@ describe('Request retry and success', () => {
         expect(requestTracker[0].headers['If-None-Match']).to.equal('"42"');
       });
     });
+
+    it(`should send etags keyed by page URL and return them by page URL ${logger ? 'with logging' : ''}`, () => {
+      const first = createMultiPageResponse('tagged?state=all', [{ page: 1 }], null, 2, 2);
+      first.response.headers.etag = '"1"';
+      const second = createMultiPageResponse('tagged?state=all', [{ page: 2 }], 1, null, 2);
+      second.response.headers.etag = '"2"';
+      const requestTracker = [];
+      initializeRequestHook([first, second], requestTracker);
+      const given = new Map([[`${urlHost}/tagged?per_page=100&state=all`, '"0"']]);
+      return requestor.getAllResponses(`${urlHost}/tagged?state=all`, { etags: given, logger: logger }).then(responses => {
+        expect(requestTracker[0].headers['If-None-Match']).to.equal('"0"');
+        expect(requestTracker[1].headers['If-None-Match']).to.be.undefined;
+        const etags = {};
+        etags[`${urlHost}/tagged?state=all`] = '"1"';
+        etags[`${urlHost}/tagged?page=2&state=all`] = '"2"';
+        expect(responses.etags).to.deep.equal(etags);
+        initializeRequestHook([
+          createMultiPageResponse('tagged?state=all', null, null, 2, 2, 304),
+          createMultiPageResponse('tagged?state=all', null, 1, null, 2, 304)
+        ], requestTracker);
+        return requestor.getAllResponses(`${urlHost}/tagged?state=all`, { etags: responses.etags, logger: logger }).then(responses => {
+          expect(requestTracker[2].headers['If-None-Match']).to.equal('"1"');
+          expect(requestTracker[3].headers['If-None-Match']).to.equal('"2"');
+          expect(responses.etags).to.deep.equal(etags);
+          expect(responses.checkpoint.etags).to.deep.equal(['"1"', '"2"']);
+        });
+      });
+    });
+
+    it(`should send If-Modified-Since for last modified dates ${logger ? 'with logging' : ''}`, () => {
+      const lastModified = 'Wed, 21 Oct 2015 07:28:00 GMT';
+      const responses = [
+        create304Response('"42"'),
+        createMultiPageResponse('dated', null, null, 2, 2, 304),
+        createMultiPageResponse('dated', null, 1, null, 2, 304)
+      ];
+      const requestTracker = [];
+      initializeRequestHook(responses, requestTracker);
+      return requestor.get(`${urlHost}`, { lastModified: [new Date(lastModified)], logger: logger }).then(response => {
+        expect(response.statusCode).to.equal(304);
+        expect(requestTracker[0].headers['If-Modified-Since']).to.equal(lastModified);
+        expect(requestTracker[0].headers['If-None-Match']).to.be.undefined;
+        const byUrl = new Map([[`${urlHost}/dated`, lastModified], [`${urlHost}/dated?page=2`, 'Thu, 22 Oct 2015 07:28:00 GMT']]);
+        return requestor.getAllResponses(`${urlHost}/dated`, { lastModified: byUrl, logger: logger }).then(() => {
+          expect(requestTracker[1].headers['If-Modified-Since']).to.equal(lastModified);
+          expect(requestTracker[2].headers['If-Modified-Since']).to.equal('Thu, 22 Oct 2015 07:28:00 GMT');
+        });
+      });
+    });
+
+    it(`should capture the validators of each response ${logger ? 'with logging' : ''}`, () => {
+      const first = createMultiPageResponse('validated', [{ page: 1 }], null, 2, 2);
+      first.response.headers.etag = 'W/"1"';
+      first.response.headers['last-modified'] = 'Wed, 21 Oct 2015 07:28:00 GMT';
+      const second = createMultiPageResponse('validated', [{ page: 2 }], 1, null, 2);
+      initializeRequestHook([first, second]);
+      return requestor.getAllResponses(`${urlHost}/validated`, { logger: logger }).then(responses => {
+        expect(responses[0].validators).to.deep.equal({ etag: 'W/"1"', lastModified: 'Wed, 21 Oct 2015 07:28:00 GMT' });
+        expect(responses[1].validators).to.deep.equal({ etag: null, lastModified: null });
+        expect(responses.activity[0].etag).to.equal('W/"1"');
+        expect(responses.activity[0].lastModified).to.equal('Wed, 21 Oct 2015 07:28:00 GMT');
+        expect(responses.activity[1].etag).to.be.undefined;
+        expect(responses.activity[1].lastModified).to.be.undefined;
+      });
+    });
+
+    it(`should keep the last modified date of cached responses ${logger ? 'with logging' : ''}`, () => {
+      const cache = new MemoryCache();
+      const lastModified = 'Wed, 21 Oct 2015 07:28:00 GMT';
+      const fresh = createMultiPageResponse('dated', { id: 1 }, null, null, null);
+      fresh.response.headers['last-modified'] = lastModified;
+      initializeRequestHook([fresh]);
+      return requestor.get(`${urlHost}/dated`, { cache: cache, logger: logger }).then(() => {
+        const requestTracker = [];
+        initializeRequestHook([createMultiPageResponse('dated', null, null, null, null, 304)], requestTracker);
+        return requestor.get(`${urlHost}/dated`, { cache: cache, logger: logger }).then(response => {
+          expect(requestTracker[0].headers['If-Modified-Since']).to.equal(lastModified);
+          expect(response.body).to.deep.equal({ id: 1 });
+          expect(response.validators).to.deep.equal({ etag: null, lastModified: lastModified });
+        });
+      });
+    });
+
+    it(`should rotate tokens and not delay while the pool has headroom ${logger ? 'with logging' : ''}`, () => {
+      const responses = [
+        createMultiPageResponse('pooled', [{ page: 1 }], null, 2, 2, 200, null, 20, Date.now() / 1000 + 1000),
+        createMultiPageResponse('pooled', [{ page: 2 }], 1, null, 2)
+      ];
+      const requestTracker = [];
+      initializeRequestHook(responses, requestTracker);
+      const tokens = ['aaaaaaaaaaaa1111', 'bbbbbbbbbbbb2222'];
+      return requestor.getAll(`${urlHost}/pooled`, { tokens: tokens, logger: logger }).then(result => {
+        expect(result.length).to.equal(2);
+        expect(requestTracker[0].headers.authorization).to.equal(`token ${tokens[0]}`);
+        expect(requestTracker[1].headers.authorization).to.equal(`token ${tokens[1]}`);
+        expect(result.activity[0].token).to.equal('***1111');
+        expect(result.activity[0].rateLimitDelay).to.be.undefined;
+        expect(result.activity[1].token).to.equal('***2222');
+      });
+    });
+
+    it(`should track the token pool on the last attempt ${logger ? 'with logging' : ''}`, () => {
+      const reset = Math.floor(Date.now() / 1000) + 1000;
+      initializeRequestHook([createResponse({ id: 1 }, 200, null, 20, reset)]);
+      const pool = new TokenPool(['aaaaaaaaaaaa1111', 'bbbbbbbbbbbb2222']);
+      return requestor.get(`${urlHost}/pooled`, { tokens: pool, maxAttempts: 1, logger: logger }).then(response => {
+        expect(response.activity[0].token).to.equal('***1111');
+        expect(pool.entries.map(entry => [entry.remaining, entry.reset])).to.deep.equal([[20, reset], [null, 0]]);
+      });
+    });
+
+    it(`should resolve 304 responses from the cache ${logger ? 'with logging' : ''}`, () => {
+      const cache = new MemoryCache();
+      const first = createMultiPageResponse('cached', [{ page: 1 }], null, 2, 2);
+      first.response.headers.etag = '"1"';
+      const second = createMultiPageResponse('cached', [{ page: 2 }], 1, null, 2);
+      second.response.headers.etag = '"2"';
+      initializeRequestHook([first, second]);
+      return requestor.getAll(`${urlHost}/cached`, { cache: cache, logger: logger }).then(result => {
+        expect(result.length).to.equal(2);
+        const requestTracker = [];
+        initializeRequestHook([
+          createMultiPageResponse('cached', null, null, 2, 2, 304),
+          createMultiPageResponse('cached', null, 1, null, 2, 304)
+        ], requestTracker);
+        return requestor.getAll(`${urlHost}/cached`, { cache: cache, logger: logger }).then(result => {
+          expect(requestTracker[0].headers['If-None-Match']).to.equal('"1"');
+          expect(requestTracker[1].headers['If-None-Match']).to.equal('"2"');
+          expect(result.length).to.equal(2);
+          expect(result[0].page).to.equal(1);
+          expect(result[1].page).to.equal(2);
+          expect(result.activity[0].cached).to.be.true;
+          expect(result.activity[1].cached).to.be.true;
+        });
+      });
+    });
   }
 });
 
@@ -488,23 +1342,6 @@ function createRequestor(responses, requestTracker = null) {
   initializeRequestHook(responses, requestTracker);
 }
 
-// hook the node request object to bypass the actual network sending and do the thing we want.
-function initializeRequestHook(responseList, requestTracker = null) {
-  const responses = responseList.slice();
-  const hook = (options, callback) => {
-    if (requestTracker) {
-      requestTracker.push(options);
-    }
-
-    // finish the call in a timeout to simulate the network call context switch
-    setTimeout(() => {
-      result = responses.shift();
-      callback(result.error, result.response, result.response ? result.response.body : undefined);
-    }, 0);
-  };
-  request.Request.request = hook;
-}
-
 function createResponse(body, code = 200, message = null, remaining = 4000, reset = null) {
   return {
     response: {
@@ -545,6 +1382,16 @@ function createMultiPageResponse(target, body, previous, next, last, code = 200,
   };
 }
 
+// Create a recorder that replays the given { method, url, result } exchanges. All of the exchanges are recorded
+// as happening now.
+function createReplay(exchanges) {
+  const time = Date.now();
+  const entries = exchanges.map(exchange => {
+    return { request: { method: exchange.method || 'GET', url: exchange.url }, response: exchange.result.response, time: time };
+  });
+  return new Recorder({ mode: 'replay', fixture: { entries: entries } });
+}
+
 function createErrorResponse(error) {
   return {
     error: new Error(error)
@@ -0,0 +1,43 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const request = require('requestretry');
+
+const original = request.Request.request;
+
+// Put the real request back after each test so hooks set by one test file cannot leak into another
+afterEach(() => {
+  request.Request.request = original;
+});
+
+/**
+ * Send requests with the given function rather than over the network until the end of the current test.
+ * @param {function} send Called with the request options and callback in place of request
+ */
+function hookRequest(send) {
+  request.Request.request = send;
+}
+
+/**
+ * Answer requests with the given { error, response } results, in order, until the end of the current test.
+ * @param {array} responseList The results to answer with
+ * @param {array} [requestTracker] If given, the options of each request are added to it
+ */
+function initializeRequestHook(responseList, requestTracker = null) {
+  const responses = responseList.slice();
+  hookRequest((options, callback) => {
+    if (requestTracker) {
+      requestTracker.push(options);
+    }
+    // finish the call in a timeout to simulate the network call context switch
+    setTimeout(() => {
+      const result = responses.shift();
+      callback(result.error, result.response, result.response ? result.response.body : undefined);
+    }, 0);
+  });
+}
+
+module.exports = {
+  hookRequest: hookRequest,
+  initializeRequestHook: initializeRequestHook
+};
@@ -0,0 +1,71 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const expect = require('chai').expect;
+const Incremental = require('../lib/incremental.js');
+
+describe('Incremental walks', () => {
+  it('should add since to endpoints that take a timestamp', () => {
+    const url = 'https://api.github.com/repos/o/r/issues?state=all';
+    const walk = new Incremental(url, { since: '2020-01-01T00:00:00.000Z' });
+    expect(walk.strategy).to.equal('since');
+    expect(walk.field).to.equal('updated_at');
+    expect(walk.target(url)).to.equal(`${url}&since=2020-01-01T00%3A00%3A00Z`);
+    expect(new Incremental('https://api.github.com/repos/o/r/commits').field).to.equal('commit.committer.date');
+  });
+
+  it('should add since to endpoints that take an id', () => {
+    const walk = new Incremental('https://api.github.com/repositories', { since: 42 });
+    expect(walk.strategy).to.equal('since');
+    expect(walk.target('https://api.github.com/repositories')).to.equal('https://api.github.com/repositories?since=42');
+  });
+
+  it('should not add since to endpoints that do not take it', () => {
+    const url = 'https://api.github.com/repos/o/r/releases';
+    const walk = new Incremental(url, { since: '2020-01-01T00:00:00Z' });
+    expect(walk.strategy).to.equal('filter');
+    expect(walk.target(url)).to.equal(url);
+  });
+
+  it('should stop newest first walks at the first old item', () => {
+    const walk = new Incremental('https://api.github.com/repos/o/r/events', { since: 100 });
+    expect(walk.strategy).to.equal('newestFirst');
+    const page = walk.accept([{ id: '102' }, { id: '101' }, { id: '100' }, { id: '99' }]);
+    expect(page.items.map(item => item.id)).to.deep.equal(['102', '101']);
+    expect(page.done).to.be.true;
+    expect(walk.highWaterMark).to.equal(102);
+  });
+
+  it('should compare events on when they were created', () => {
+    const walk = new Incremental('https://api.github.com/users/u/received_events', { since: '2020-01-02T00:00:00Z' });
+    expect(walk.field).to.equal('created_at');
+    const page = walk.accept([
+      { id: '3', type: 'PushEvent', created_at: '2020-01-03T00:00:00Z' },
+      { id: '2', type: 'IssuesEvent', created_at: '2020-01-02T00:00:00Z' },
+      { id: '1', type: 'WatchEvent', created_at: '2020-01-01T00:00:00Z' }
+    ]);
+    expect(page.items.map(item => item.id)).to.deep.equal(['3']);
+    expect(page.done).to.be.true;
+    expect(walk.highWaterMark).to.equal('2020-01-03T00:00:00.000Z');
+  });
+
+  it('should filter old items and raise the high-water mark', () => {
+    const walk = new Incremental('https://api.github.com/repos/o/r/issues', { since: new Date('2020-01-02T00:00:00Z') });
+    const page = walk.accept([
+      { number: 1, updated_at: '2020-01-01T00:00:00Z' },
+      { number: 2, updated_at: '2020-01-03T00:00:00Z' },
+      { number: 3 },
+      { number: 4, updated_at: '2020-01-02T00:00:00Z' }
+    ]);
+    expect(page.items.map(item => item.number)).to.deep.equal([2, 3]);
+    expect(page.done).to.be.false;
+    expect(walk.highWaterMark).to.equal('2020-01-03T00:00:00.000Z');
+  });
+
+  it('should keep the given mark when nothing is newer', () => {
+    const walk = new Incremental('https://api.github.com/repos/o/r/issues', { since: '2020-01-02T00:00:00Z' });
+    walk.accept([{ updated_at: '2020-01-01T00:00:00Z' }]);
+    expect(walk.highWaterMark).to.equal('2020-01-02T00:00:00.000Z');
+    expect(new Incremental('https://api.github.com/repos/o/r/issues').highWaterMark).to.be.null;
+  });
+});
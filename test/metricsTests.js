@@ -0,0 +1,64 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const EventEmitter = require('events');
+const expect = require('chai').expect;
+const Metrics = require('../lib/metrics.js');
+
+describe('Metrics', () => {
+  it('should count requests separately from attempts', () => {
+    const metrics = new Metrics();
+    metrics.record('request', { method: 'GET', attempt: 1 });
+    metrics.record('request', { method: 'GET', attempt: 2 });
+    metrics.record('request', { method: 'POST', attempt: 1 });
+    expect(metrics.get('requests_total', { method: 'GET' })).to.equal(1);
+    expect(metrics.get('attempts_total', { method: 'GET' })).to.equal(2);
+    expect(metrics.get('requests_total', { method: 'POST' })).to.equal(1);
+  });
+
+  it('should track the 304 hit ratio and remaining rate limit', () => {
+    const metrics = new Metrics();
+    metrics.record('response', { method: 'GET', statusCode: 200, resource: 'core', remaining: 4000 });
+    metrics.record('response', { method: 'GET', statusCode: 304, resource: 'core', remaining: 3999 });
+    metrics.record('response', { method: 'GET', statusCode: 304 });
+    metrics.record('response', { method: 'POST', statusCode: 201, resource: 'core', remaining: 3998 });
+    expect(metrics.get('not_modified_ratio')).to.be.closeTo(2 / 3, 0.001);
+    expect(metrics.get('rate_limit_remaining', { resource: 'core' })).to.equal(3998);
+    expect(metrics.get('responses_total', { method: 'GET', status: '304' })).to.equal(2);
+  });
+
+  it('should record delays in cumulative histogram buckets', () => {
+    const metrics = new Metrics({ buckets: [1000, 100] });
+    metrics.record('retry', { reason: 'retry', delay: 50 });
+    metrics.record('retry', { reason: 'secondaryRateLimit', delay: 500 });
+    metrics.record('throttle', { reason: 'rateLimiter', delay: null });
+    const histogram = metrics.get('delay_milliseconds', { kind: 'retry' });
+    expect(histogram).to.deep.equal({ buckets: [1, 2], sum: 550, count: 2 });
+    expect(metrics.get('delay_milliseconds', { kind: 'throttle' })).to.be.undefined;
+    expect(metrics.get('throttles_total', { reason: 'rateLimiter' })).to.equal(1);
+  });
+
+  it('should listen to emitters', () => {
+    const emitter = new EventEmitter();
+    const metrics = new Metrics().attach(emitter);
+    emitter.emit('page', { target: 'https://test.com' });
+    emitter.emit('error', { error: new Error('bummer') });
+    expect(metrics.get('pages_total')).to.equal(1);
+    expect(metrics.get('errors_total')).to.equal(1);
+  });
+
+  it('should export in the Prometheus text format', () => {
+    const metrics = new Metrics({ prefix: 'crawler', buckets: [100] });
+    metrics.record('request', { method: 'GET', attempt: 1 });
+    metrics.record('retry', { reason: 'say "when"', delay: 10 });
+    const text = metrics.toPrometheus();
+    expect(text).to.include('# HELP crawler_requests_total Requests made, not counting retries.\n# TYPE crawler_requests_total counter\n');
+    expect(text).to.include('crawler_requests_total{method="GET"} 1\n');
+    expect(text).to.include('crawler_retries_total{reason="say \\"when\\""} 1\n');
+    expect(text).to.include('# TYPE crawler_delay_milliseconds histogram\n');
+    expect(text).to.include('crawler_delay_milliseconds_bucket{kind="retry",le="100"} 1\n');
+    expect(text).to.include('crawler_delay_milliseconds_bucket{kind="retry",le="+Inf"} 1\n');
+    expect(text).to.include('crawler_delay_milliseconds_sum{kind="retry"} 10\n');
+    expect(text).to.include('crawler_delay_milliseconds_count{kind="retry"} 1\n');
+  });
+});
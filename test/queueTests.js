@@ -0,0 +1,187 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const expect = require('chai').expect;
+const FileQueueStore = require('../lib/fileQueueStore.js');
+const fs = require('fs');
+const ghrequestor = require('../lib/ghrequestor.js');
+const initializeRequestHook = require('./helpers/requestHook.js').initializeRequestHook;
+const os = require('os');
+const path = require('path');
+const Q = require('q');
+const Queue = require('../lib/queue.js');
+const QueueWorker = require('../lib/queueWorker.js');
+
+describe('Queue', () => {
+  it('should pop higher priorities first and in order within a priority', () => {
+    const queue = new Queue();
+    return Q.all([
+      queue.enqueue('https://test.com/a'),
+      queue.enqueue('https://test.com/b', { priority: 5, metadata: { kind: 'repo' } }),
+      queue.enqueue('https://test.com/c'),
+      queue.enqueue('https://test.com/d', { priority: 5 })
+    ]).then(() => {
+      expect(queue.size).to.equal(4);
+      return Q.all([queue.pop(), queue.pop(), queue.pop(), queue.pop(), queue.pop()]);
+    }).then(items => {
+      expect(items.slice(0, 4).map(item => item.url.slice(-1))).to.deep.equal(['b', 'd', 'a', 'c']);
+      expect(items[0].metadata.kind).to.equal('repo');
+      expect(items[4]).to.be.null;
+    });
+  });
+
+  it('should requeue nacked items at the back and dead-letter poison items', () => {
+    const queue = new Queue(undefined, { maxFailures: 2 });
+    return queue.enqueue('https://test.com/poison').then(() => queue.enqueue('https://test.com/fine')).then(() => {
+      return queue.pop();
+    }).then(item => queue.nack(item, 5, new Error('bummer'))).then(item => {
+      expect(item.state).to.equal('queued');
+      expect(item.attempts).to.equal(5);
+      return queue.pop();
+    }).then(item => {
+      expect(item.url).to.equal('https://test.com/fine');
+      return queue.ack(item, 1);
+    }).then(() => queue.pop()).then(item => queue.nack(item, 5, new Error('bummer again'))).then(item => {
+      expect(item.state).to.equal('dead');
+      expect(queue.size).to.equal(0);
+      return queue.deadLetters();
+    }).then(dead => {
+      expect(dead.map(item => [item.url, item.attempts, item.failures, item.error])).to.deep.equal([['https://test.com/poison', 10, 2, 'bummer again']]);
+      return queue.revive(dead[0]);
+    }).then(item => {
+      expect(item.failures).to.equal(0);
+      expect(queue.size).to.equal(1);
+      return queue.deadLetters();
+    }).then(dead => {
+      expect(dead.length).to.equal(0);
+    });
+  });
+
+  it('should only ack or nack popped items', () => {
+    const queue = new Queue();
+    return queue.enqueue('https://test.com/a').then(item => queue.ack(item)).then(
+      () => { throw new Error('should have failed'); },
+      err => expect(err.message).to.include('was not popped'));
+  });
+});
+
+describe('File queue store', () => {
+  const directory = path.join(os.tmpdir(), `ghrequestor-queue-${process.pid}`);
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should keep items across restarts', () => {
+    const queue = new Queue(new FileQueueStore(directory), { maxFailures: 1 });
+    return Q.all([
+      queue.enqueue('https://test.com/leased', { priority: 1 }),
+      queue.enqueue('https://test.com/acked', { priority: 2 }),
+      queue.enqueue('https://test.com/dead', { priority: 3 }),
+      queue.enqueue('https://test.com/waiting')
+    ]).then(() => {
+      return queue.pop().then(item => queue.nack(item, 1, new Error('gone')));
+    }).then(() => queue.pop()).then(item => queue.ack(item)).then(() => queue.pop()).then(item => {
+      expect(item.url).to.equal('https://test.com/leased');
+      // Restart without acking the leased item
+      const restarted = new Queue(new FileQueueStore(directory));
+      return Q.all([restarted.pop(), restarted.pop(), restarted.pop(), restarted.deadLetters()]);
+    }).then(results => {
+      expect(results.slice(0, 2).map(item => item.url)).to.deep.equal(['https://test.com/leased', 'https://test.com/waiting']);
+      expect(results[2]).to.be.null;
+      expect(results[3].map(item => item.error)).to.deep.equal(['gone']);
+      expect(fs.readdirSync(directory).filter(file => file.endsWith('.tmp'))).to.deep.equal([]);
+    });
+  });
+
+  it('should have no items before anything is stored', () => {
+    return new FileQueueStore(path.join(directory, 'missing')).all().then(items => {
+      expect(items).to.deep.equal([]);
+    });
+  });
+});
+
+describe('Queue worker', () => {
+  it('should ack fetched items, follow up on them and dead-letter failures', () => {
+    const queue = new Queue(undefined, { maxFailures: 2 });
+    const requestor = {
+      getAll: url => {
+        if (url.endsWith('/broken')) {
+          const err = new Error('bummer');
+          err.activity = [{ attempts: 5 }];
+          return Q.reject(err);
+        }
+        const result = [{ url: `${url}/child` }];
+        result.activity = [{ attempts: 1 }, { attempts: 2 }];
+        return Q(result);
+      },
+      get: url => Q({ body: { id: 1 }, activity: [{ attempts: 1 }] })
+    };
+    const handled = [];
+    const handler = (result, item) => {
+      handled.push(item.url);
+      return item.metadata.depth ? null : queue.enqueue(result[0].url, { metadata: { depth: 1, method: 'get' } });
+    };
+    const worker = new QueueWorker(queue, requestor, { handler: handler, concurrency: 2 });
+    return Q.all([queue.enqueue('https://test.com/root'), queue.enqueue('https://test.com/broken')]).then(() => {
+      return worker.run();
+    }).then(counts => {
+      expect(counts).to.deep.equal({ acked: 2, nacked: 2 });
+      expect(handled).to.deep.equal(['https://test.com/root', 'https://test.com/root/child']);
+      return queue.deadLetters();
+    }).then(dead => {
+      expect(dead.length).to.equal(1);
+      expect(dead[0].url).to.equal('https://test.com/broken');
+      expect(dead[0].attempts).to.equal(10);
+    });
+  });
+
+  it('should nack items whose handler fails', () => {
+    const queue = new Queue(undefined, { maxFailures: 1 });
+    const requestor = { getAll: () => Q([]) };
+    const worker = new QueueWorker(queue, requestor, { handler: () => { throw new Error('cannot store'); } });
+    return queue.enqueue('https://test.com/a').then(() => worker.run()).then(counts => {
+      expect(counts).to.deep.equal({ acked: 0, nacked: 1 });
+      return queue.deadLetters();
+    }).then(dead => {
+      expect(dead[0].error).to.equal('cannot store');
+    });
+  });
+
+  it('should fetch with the retry logic of request templates', () => {
+    initializeRequestHook([
+      { response: { statusCode: 500, headers: {}, body: 'oops' } },
+      { response: { statusCode: 200, headers: { 'x-ratelimit-remaining': 4000 }, body: [{ id: 1 }] } }
+    ]);
+    const queue = new Queue();
+    const template = ghrequestor.defaults({ retryDelay: 10 });
+    const results = [];
+    const worker = template.worker(queue, { handler: result => results.push(result) });
+    return queue.enqueue('https://test.com/items').then(item => {
+      return queue.pop().then(item => worker.process(item));
+    }).then(item => {
+      expect(item.state).to.equal('done');
+      expect(item.attempts).to.equal(2);
+      expect(results[0][0].id).to.equal(1);
+    });
+  });
+
+  it('should nack items whose get fails with an error response', () => {
+    initializeRequestHook([
+      { response: { statusCode: 404, headers: { 'x-ratelimit-remaining': 4000 }, body: { message: 'Not Found' } } }
+    ]);
+    const queue = new Queue();
+    const template = ghrequestor.defaults({ retryDelay: 10 });
+    const results = [];
+    const worker = template.worker(queue, { handler: result => results.push(result) });
+    return queue.enqueue('https://test.com/gone', { metadata: { method: 'get' } }).then(() => {
+      return queue.pop().then(item => worker.process(item));
+    }).then(item => {
+      expect(item.state).to.not.equal('done');
+      expect(item.failures).to.equal(1);
+      expect(item.attempts).to.equal(1);
+      expect(item.error).to.equal('404');
+      expect(results.length).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const expect = require('chai').expect;
+const FakeClock = require('../lib/clock.js').FakeClock;
+const RateLimiter = require('../lib/rateLimiter.js');
+
+describe('Rate limiter', () => {
+  it('should identify resource buckets', () => {
+    expect(RateLimiter.resourceFor('https://api.github.com/repos/o/r/issues')).to.equal('core');
+    expect(RateLimiter.resourceFor('https://api.github.com/search/issues?q=foo')).to.equal('search');
+    expect(RateLimiter.resourceFor('https://api.github.com/graphql')).to.equal('graphql');
+    expect(RateLimiter.resourceFor('https://ghe.example.com/api/v3/search/code?q=foo')).to.equal('search');
+  });
+
+  it('should keep buckets separate by token and resource', () => {
+    const limiter = new RateLimiter();
+    const core = limiter.keyFor('token 1', 'https://api.github.com/repos/o/r');
+    const search = limiter.keyFor('token 1', 'https://api.github.com/search/issues');
+    const other = limiter.keyFor('token 2', 'https://api.github.com/repos/o/r');
+    expect(new Set([core, search, other]).size).to.equal(3);
+  });
+
+  it('should let requests through while there is budget', () => {
+    const limiter = new RateLimiter({ lowerBounds: { core: 10 } });
+    const key = limiter.keyFor('token 1', 'https://api.github.com/repos/o/r');
+    const granted = [];
+    limiter.acquire(key, () => granted.push(1));
+    limiter.release(key, { remaining: 12, reset: Date.now() / 1000 + 600 });
+    limiter.acquire(key, () => granted.push(2));
+    expect(granted).to.deep.equal([1, 2]);
+  });
+
+  it('should count requests in flight against the budget and queue the rest', () => {
+    const limiter = new RateLimiter({ lowerBounds: { core: 10 } });
+    const key = limiter.keyFor('token 1', 'https://api.github.com/repos/o/r');
+    const granted = [];
+    limiter.acquire(key, () => granted.push(1));
+    limiter.release(key, { remaining: 11, reset: Date.now() / 1000 + 600 });
+    limiter.acquire(key, () => granted.push(2));
+    const ticket = limiter.acquire(key, () => granted.push(3));
+    limiter.acquire(key, () => granted.push(4));
+    expect(granted).to.deep.equal([1, 2]);
+    ticket.cancel();
+    // the reset passing (as reported by the next response) opens the bucket again
+    limiter.release(key, { remaining: 5000, reset: Date.now() / 1000 - 1 });
+    expect(granted).to.deep.equal([1, 2, 4]);
+    expect(limiter.buckets.get(key).timer).to.be.null;
+  });
+
+  it('should stop waiting for the reset when the waiting requests are cancelled', () => {
+    const clock = new FakeClock(1000000);
+    const limiter = new RateLimiter({ lowerBounds: { core: 10 }, clock: clock });
+    const key = limiter.keyFor('token 1', 'https://api.github.com/repos/o/r');
+    limiter.acquire(key, () => null);
+    limiter.release(key, { remaining: 10, reset: 4600 });
+    const first = limiter.acquire(key, () => null);
+    const second = limiter.acquire(key, () => null);
+    first.cancel();
+    expect(clock.pending).to.equal(1);
+    second.cancel();
+    expect(clock.pending).to.equal(0);
+    expect(limiter.buckets.get(key).timer).to.be.null;
+  });
+
+  it('should wait for the reset on the given clock', () => {
+    const clock = new FakeClock(1000000);
+    const limiter = new RateLimiter({ lowerBounds: { core: 10 }, clock: clock });
+    const key = limiter.keyFor('token 1', 'https://api.github.com/repos/o/r');
+    const granted = [];
+    limiter.acquire(key, () => granted.push(1));
+    limiter.release(key, { remaining: 10, reset: 1600 });
+    limiter.acquire(key, () => granted.push(2));
+    expect(clock.pending).to.equal(1);
+    clock.tick(599999);
+    expect(granted).to.deep.equal([1]);
+    clock.tick(1);
+    expect(granted).to.deep.equal([1, 2]);
+  });
+});
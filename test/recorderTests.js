@@ -0,0 +1,106 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const crypto = require('crypto');
+const expect = require('chai').expect;
+const fs = require('fs');
+const ghrequestor = require('../lib/ghrequestor.js');
+const initializeRequestHook = require('./helpers/requestHook.js').initializeRequestHook;
+const os = require('os');
+const path = require('path');
+const Recorder = require('../lib/recorder.js');
+
+describe('Recorder', () => {
+  const file = path.join(os.tmpdir(), `ghrequestor-fixture-${process.pid}.json`);
+
+  after(() => {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('should reject unknown modes', () => {
+    expect(() => new Recorder({ mode: 'test' })).to.throw(/Unknown recorder mode/);
+  });
+
+  it('should record attempts with redacted authorization and replay them through the retry pipeline', () => {
+    initializeRequestHook([
+      { response: { statusCode: 500, headers: {}, body: 'oops' } },
+      { response: { statusCode: 200, headers: { 'x-ratelimit-remaining': 4000 }, body: { id: 1 } } }
+    ]);
+    const recorder = new Recorder({ mode: 'record', file: file });
+    const headers = { authorization: 'token abcdefghijkl1234' };
+    return ghrequestor.get('https://test.com/recorded', { recorder: recorder, headers: headers, retryDelay: 10 }).then(response => {
+      expect(response.body.id).to.equal(1);
+      expect(recorder.entries.length).to.equal(2);
+      expect(recorder.entries[0].request.headers.authorization).to.equal('token ***1234');
+      expect(recorder.entries[1].response.statusCode).to.equal(200);
+      return recorder.save();
+    }).then(() => {
+      expect(fs.readFileSync(file, 'utf8')).to.not.include('abcdefghijkl');
+      initializeRequestHook([]);
+      const replay = new Recorder({ mode: 'replay', file: file });
+      return ghrequestor.get('https://test.com/recorded', { recorder: replay, headers: headers, retryDelay: 60000 });
+    }).then(response => {
+      expect(response.body.id).to.equal(1);
+      expect(response.activity[0].attempts).to.equal(2);
+      expect(response.activity[0].delays).to.deep.equal([{ retry: 60000 }]);
+    });
+  });
+
+  it('should throttle on the virtual clock when replaying', () => {
+    const time = Date.now();
+    const reset = Math.floor(time / 1000) + 3600;
+    const recorder = new Recorder({ mode: 'replay', fixture: { entries: [{
+      request: { method: 'GET', url: 'https://test.com/throttled?per_page=100' },
+      response: { statusCode: 200, headers: { 'x-ratelimit-remaining': 10, 'x-ratelimit-reset': reset }, body: { id: 1 } },
+      time: time
+    }] } });
+    return ghrequestor.get('https://test.com/throttled', { recorder: recorder }).then(response => {
+      expect(response.activity[0].rateLimitDelay).to.equal(reset * 1000 - time);
+      expect(recorder.clock.now()).to.equal(reset * 1000);
+    });
+  });
+
+  it('should fail requests that were not recorded', () => {
+    const recorder = new Recorder({ mode: 'replay', fixture: { entries: [] } });
+    return ghrequestor.get('https://test.com/missing', { recorder: recorder, maxAttempts: 1 }).then(
+      () => { throw new Error('should have failed'); },
+      err => {
+        expect(err.code).to.equal('ENORECORDING');
+        expect(recorder.replayed[0].url).to.equal('https://test.com/missing?per_page=100');
+      });
+  });
+
+  it('should replay the minting of app installation tokens', () => {
+    const requestTracker = [];
+    initializeRequestHook([], requestTracker);
+    const time = Date.UTC(2020, 0, 1);
+    const expires = new Date(time + 60 * 60 * 1000).toISOString();
+    const recorder = new Recorder({ mode: 'replay', fixture: { entries: [{
+      request: { method: 'POST', url: 'https://api.github.com/app/installations/7/access_tokens' },
+      response: { statusCode: 201, headers: {}, body: { token: 'installation1234', expires_at: expires } },
+      time: time
+    }, {
+      request: { method: 'GET', url: 'https://api.github.com/repos/o/r?per_page=100' },
+      response: { statusCode: 200, headers: { 'x-ratelimit-remaining': 4000 }, body: { id: 1 } },
+      time: time
+    }] } });
+    const privateKey = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+      publicKeyEncoding: { type: 'spki', format: 'pem' }
+    }).privateKey;
+    const auth = { appId: 42, privateKey: privateKey, installationId: 7 };
+    const template = ghrequestor.defaults({ auth: auth, recorder: recorder });
+    return template.get('https://api.github.com/repos/o/r').then(response => {
+      expect(response.body.id).to.equal(1);
+      expect(requestTracker.length).to.equal(0);
+      expect(recorder.replayed.map(entry => entry.method)).to.deep.equal(['POST', 'GET']);
+      expect(recorder.replayed[1].headers.authorization).to.include('1234');
+      // The token is current on the virtual clock of the recording even though it expired long ago
+      expect(template.defaultOptions.auth.expiresAt).to.equal(time + 60 * 60 * 1000);
+      expect(template.defaultOptions.auth.clock).to.equal(recorder.clock);
+    });
+  });
+});
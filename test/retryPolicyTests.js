@@ -0,0 +1,52 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const expect = require('chai').expect;
+const RetryPolicy = require('../lib/retryPolicy.js');
+
+describe('Retry policy', () => {
+  it('should default to a constant delay from the requestor options', () => {
+    const policy = RetryPolicy.fromOptions({ maxAttempts: 3, retryDelay: 250 });
+    expect(policy.maxAttempts).to.equal(3);
+    expect(policy.nextDelay(0)).to.equal(250);
+    expect(policy.nextDelay(4)).to.equal(250);
+    expect(policy.isRetryableStatus(503)).to.be.true;
+    expect(policy.isRetryableStatus(404)).to.be.false;
+  });
+
+  it('should grow exponentially up to the max delay', () => {
+    const policy = new RetryPolicy({ baseDelay: 100, multiplier: 2, maxDelay: 500 });
+    expect(policy.nextDelay(0)).to.equal(100);
+    expect(policy.nextDelay(1)).to.equal(200);
+    expect(policy.nextDelay(2)).to.equal(400);
+    expect(policy.nextDelay(3)).to.equal(500);
+  });
+
+  it('should keep jittered delays within bounds', () => {
+    const full = new RetryPolicy({ baseDelay: 100, multiplier: 2, jitter: 'full' });
+    const equal = new RetryPolicy({ baseDelay: 100, multiplier: 2, jitter: 'equal' });
+    const decorrelated = new RetryPolicy({ baseDelay: 100, maxDelay: 1000, jitter: 'decorrelated' });
+    for (let i = 0; i < 20; i++) {
+      expect(full.nextDelay(2)).to.be.within(0, 400);
+      expect(equal.nextDelay(2)).to.be.within(200, 400);
+      expect(decorrelated.nextDelay(i, 800)).to.be.within(100, 1000);
+    }
+  });
+
+  it('should only retry the given status codes', () => {
+    const policy = new RetryPolicy({ retryStatusCodes: [502, 503] });
+    expect(policy.isRetryableStatus(502)).to.be.true;
+    expect(policy.isRetryableStatus(500)).to.be.false;
+  });
+
+  it('should detect when the retry time budget is exceeded', () => {
+    const policy = new RetryPolicy({ maxRetryTime: 1000 });
+    expect(policy.exceedsBudget(500, 400)).to.be.false;
+    expect(policy.exceedsBudget(500, 600)).to.be.true;
+    expect(new RetryPolicy().exceedsBudget(1000000, 1000)).to.be.false;
+  });
+
+  it('should reject unknown jitter modes', () => {
+    expect(() => new RetryPolicy({ jitter: 'wild' })).to.throw(/jitter/);
+  });
+});
@@ -0,0 +1,51 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const expect = require('chai').expect;
+const TokenPool = require('../lib/tokenPool.js');
+
+describe('Token pool', () => {
+  it('should pick unused tokens first', () => {
+    const pool = new TokenPool(['token1', 'token2']);
+    pool.update('token1', createHeaders(4000, Date.now() / 1000 + 600));
+    expect(pool.pick()).to.equal('token2');
+  });
+
+  it('should pick the token with the most headroom', () => {
+    const pool = new TokenPool(['token1', 'token2', 'token3']);
+    const reset = Date.now() / 1000 + 600;
+    pool.update('token1', createHeaders(100, reset));
+    pool.update('token2', createHeaders(3000, reset));
+    pool.update('token3', createHeaders(2000, reset));
+    expect(pool.pick()).to.equal('token2');
+  });
+
+  it('should treat tokens past their reset as full', () => {
+    const pool = new TokenPool(['token1', 'token2']);
+    pool.update('token1', createHeaders(10, Date.now() / 1000 - 10));
+    pool.update('token2', createHeaders(3000, Date.now() / 1000 + 600));
+    expect(pool.pick()).to.equal('token1');
+  });
+
+  it('should only be exhausted when all tokens are low', () => {
+    const pool = new TokenPool(['token1', 'token2']);
+    const reset = Math.floor(Date.now() / 1000) + 600;
+    pool.update('token1', createHeaders(10, reset + 100));
+    expect(pool.isExhausted(500)).to.be.false;
+    pool.update('token2', createHeaders(20, reset));
+    expect(pool.isExhausted(500)).to.be.true;
+    expect(pool.nextReset()).to.equal(reset);
+  });
+
+  it('should redact tokens', () => {
+    expect(TokenPool.redact('0123456789abcdef')).to.equal('***cdef');
+    expect(TokenPool.redact('short')).to.equal('***');
+  });
+});
+
+function createHeaders(remaining, reset) {
+  return {
+    'x-ratelimit-remaining': remaining,
+    'x-ratelimit-reset': Math.floor(reset)
+  };
+}
@@ -0,0 +1,95 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const expect = require('chai').expect;
+const Q = require('q');
+const Traversal = require('../lib/traversal.js');
+
+const api = 'https://api.github.com';
+const graph = {
+  [`${api}/repos/o/r`]: [{ url: `${api}/repos/o/r`, issues_url: `${api}/repos/o/r/issues{/number}`, pulls_url: `${api}/repos/o/r/pulls{/number}` }],
+  [`${api}/repos/o/r/issues`]: [
+    { url: `${api}/repos/o/r/issues/1`, comments_url: `${api}/repos/o/r/issues/1/comments` },
+    { url: `${api}/repos/o/r/issues/2`, comments_url: `${api}/repos/o/r/issues/2/comments` }
+  ],
+  [`${api}/repos/o/r/pulls`]: [{ url: `${api}/repos/o/r/pulls/2`, issue_url: `${api}/repos/o/r/issues/2` }],
+  [`${api}/repos/o/r/issues/2`]: [{ url: `${api}/repos/o/r/issues/2`, comments_url: `${api}/repos/o/r/issues/2/comments` }],
+  [`${api}/repos/o/r/issues/1/comments`]: [{ id: 11 }, { id: 12 }],
+  [`${api}/repos/o/r/issues/2/comments`]: [{ id: 21 }]
+};
+
+describe('Traversal', () => {
+  it('should strip URI templates', () => {
+    expect(Traversal.stripTemplate(`${api}/repos/o/r/issues{/number}`)).to.equal(`${api}/repos/o/r/issues`);
+    expect(Traversal.stripTemplate(`${api}/repos/o/r/git/trees{/sha}{?recursive}`)).to.equal(`${api}/repos/o/r/git/trees`);
+  });
+
+  it('should follow the rules and fetch each URL once', () => {
+    const requestor = createRequestor();
+    const rules = { issues_url: { comments_url: true }, pulls_url: { issue_url: { comments_url: {} } } };
+    return collect(new Traversal(requestor, rules).traverse(`${api}/repos/o/r`)).then(records => {
+      expect(requestor.fetched).to.deep.equal([
+        `${api}/repos/o/r`,
+        `${api}/repos/o/r/issues`,
+        `${api}/repos/o/r/pulls`,
+        `${api}/repos/o/r/issues/1/comments`,
+        `${api}/repos/o/r/issues/2/comments`,
+        `${api}/repos/o/r/issues/2`
+      ]);
+      expect(records[0]).to.deep.equal({ entity: graph[`${api}/repos/o/r`][0], url: `${api}/repos/o/r`, field: null, parent: null });
+      const comment = records.find(record => record.entity.id === 12);
+      expect(comment.url).to.equal(`${api}/repos/o/r/issues/1/comments`);
+      expect(comment.field).to.equal('comments_url');
+      expect(comment.parent).to.equal(`${api}/repos/o/r/issues/1`);
+      const issue = records.find(record => record.field === 'issue_url');
+      expect(issue.parent).to.equal(`${api}/repos/o/r/pulls/2`);
+      expect(records.length).to.equal(8);
+    });
+  });
+
+  it('should limit the fetches in flight', () => {
+    const requestor = createRequestor();
+    const rules = { issues_url: { comments_url: true }, pulls_url: true };
+    return collect(new Traversal(requestor, rules, { concurrency: 2 }).traverse(`${api}/repos/o/r`)).then(records => {
+      expect(records.length).to.equal(7);
+      expect(requestor.maxInFlight).to.equal(2);
+    });
+  });
+
+  it('should fail the stream when a fetch fails', () => {
+    const repo = Object.assign({ hooks_url: `${api}/repos/o/r/hooks` }, graph[`${api}/repos/o/r`][0]);
+    const requestor = createRequestor({ [`${api}/repos/o/r`]: [repo] });
+    const rules = { issues_url: { comments_url: true }, hooks_url: true };
+    return collect(new Traversal(requestor, rules).traverse(`${api}/repos/o/r`)).then(
+      () => { throw new Error('should have failed'); },
+      err => {
+        expect(err.message).to.equal('Not Found');
+        expect(err.url).to.equal(`${api}/repos/o/r/hooks`);
+        expect(requestor.fetched).to.not.include(`${api}/repos/o/r/issues/2/comments`);
+      });
+  });
+});
+
+function createRequestor(overrides = {}) {
+  const pages = Object.assign({}, graph, overrides);
+  const requestor = { fetched: [], inFlight: 0, maxInFlight: 0 };
+  requestor.getAll = url => {
+    requestor.fetched.push(url);
+    requestor.inFlight++;
+    requestor.maxInFlight = Math.max(requestor.maxInFlight, requestor.inFlight);
+    return Q.delay(1).then(() => {
+      requestor.inFlight--;
+      return pages[url] ? pages[url] : Q.reject(new Error('Not Found'));
+    });
+  };
+  return requestor;
+}
+
+function collect(stream) {
+  const deferred = Q.defer();
+  const records = [];
+  stream.on('data', record => records.push(record));
+  stream.on('end', () => deferred.resolve(records));
+  stream.on('error', err => deferred.reject(err));
+  return deferred.promise;
+}